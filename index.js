@@ -53,6 +53,8 @@ import {
 } from './modules/token-itemizer.js';
 import {
     initTriggerTracking,
+    getEntryKey,
+    resolveEntryIdentity,
     getDeepTriggerInfo,
     getRecursionChain,
     getEnhancedTriggerDetails,
@@ -63,7 +65,80 @@ import {
     getDeepTriggerDataRaw,
     getRecursionChainRaw,
     getProbabilityResultsRaw,
+    getProbabilityHistoryRaw,
+    getScanState,
+    getBudgetOverflow,
 } from './modules/trigger-tracking.js';
+import { getTriggerSourceAttribution } from './modules/source-attribution.js';
+import { initChatHighlights, refreshChatHighlights } from './modules/chat-highlights.js';
+import {
+    initGroupContestTracking,
+    getGroupContests,
+    getGroupContest,
+    getGroupContestForEntry,
+} from './modules/group-contests.js';
+import {
+    initNearMissTracking,
+    getNearMisses,
+    explainInactiveEntry,
+    getNearMissSummary,
+} from './modules/near-miss.js';
+import {
+    initLogParsers,
+    registerLogRule,
+    unregisterLogRule,
+    getActiveLogRules,
+    getLogParserVersion,
+    getLogParserDiagnostics,
+    resetLogParserDiagnostics,
+} from './modules/log-parsers.js';
+import { getConsoleHookStatus } from './modules/console-hook.js';
+import {
+    initGenerationContext,
+    getCurrentGeneration,
+    getCurrentGenerationId,
+    getGeneration,
+    attachToGeneration,
+    shouldUpdatePanel,
+    recordTypedTrace,
+    getLastTraceByType,
+    getLastTraces,
+} from './modules/generation-context.js';
+import {
+    initGenerationTraces,
+    getTrace,
+    getLatestTrace,
+    getTraces,
+    getTraceForMessage,
+    getTracesForEntry,
+    getTracesBetween,
+} from './modules/generation-trace.js';
+import {
+    initTraceRecorder,
+    getRecordedTraces,
+    getRecorderStats,
+    purgeRecordedTraces,
+} from './modules/trace-recorder.js';
+import { showAnalyticsDashboard, buildActivationAnalytics } from './modules/analytics-dashboard.js';
+import { getWILog, getWILogHistory, showWILogViewer } from './modules/wi-log.js';
+import { wasEntryBudgetCut } from './modules/budget-overflow.js';
+import {
+    initTimedEffectsTracking,
+    getTimedEffects,
+    getUpcomingExpirations,
+} from './modules/timed-effects.js';
+import {
+    initMessageSnapshots,
+    captureActivationSnapshot,
+    getMessageSnapshot,
+    getMessagesForEntry,
+    getSwipeTraces,
+    showSnapshotForMessage,
+} from './modules/message-snapshots.js';
+import {
+    compareSwipeTraces,
+    showSwipeComparison,
+} from './modules/swipe-compare.js';
 import {
     showRecursionVisualizer,
     buildRecursionTree,
@@ -110,9 +185,7 @@ function initUI() {
 function setupEventListeners() {
     // Standard worldbook activation
     eventSource.on(event_types.WORLD_INFO_ACTIVATED, async (entryList) => {
-        uiState.panel.innerHTML = 'Updating...';
-        updateBadge(entryList.map(it => `${it.world}§§§${it.uid}`));
-
+        const generationId = getCurrentGenerationId();
         const context = getContext();
         const authorNotePrompt = context?.extensionPrompts?.['2_floating_prompt'];
         const isAuthorNoteScanEnabled = authorNotePrompt?.scan === true;
@@ -125,14 +198,31 @@ function setupEventListeners() {
                     authorNoteContent,
                     context,
                     chat: chat || [],
+                    generationId,
                 });
             }
             entry.entrySettings = analyzeEntrySettings(entry);
+            // Chat matches as the scan saw them - the reply isn't in the chat yet
+            entry.chatTrigger = analyzeTriggerSource(entry);
             entry.type = 'wi';
         }
 
+        if (!attachToGeneration(generationId, 'activation', [...entryList])) return;
+        recordTypedTrace(entryList);
+
+        // Quiet/impersonate generations (summaries, image prompts) keep their own slot
+        if (!shouldUpdatePanel(generationId)) {
+            console.debug(`[${extensionName}] ${getCurrentGeneration()?.type} generation - panel left as is`);
+            return;
+        }
+        captureActivationSnapshot(entryList);
+
+        uiState.panel.innerHTML = 'Updating...';
+        updateBadge(entryList.map(it => getEntryKey(it.world, it.uid)));
         uiState.currentEntryList = [...entryList];
+        uiState.snapshotView = null;
         updatePanel(entryList, true);
+        refreshChatHighlights(entryList);
     });
 
     // Vector/RAG activation
@@ -141,10 +231,13 @@ function setupEventListeners() {
             entry.type = 'wi';
             entry.triggerReason = 'vector';
         }
+        recordTypedTrace(entryList);
+        if (!shouldUpdatePanel()) return;
 
         uiState.currentEntryList = [...entryList];
+        uiState.snapshotView = null;
         updatePanel(entryList, true);
-        updateBadge(entryList.map(it => `${it.world}§§§${it.uid}`));
+        updateBadge(entryList.map(it => getEntryKey(it.world, it.uid)));
     });
 }
 
@@ -156,8 +249,19 @@ async function init() {
 
     try {
         // Initialize tracking modules
+        // Generation context first - other GENERATION_STARTED listeners read it
+        initGenerationContext();
+        initGenerationTraces();
+        // Version detection runs in the background - every rule applies until it's known
+        initLogParsers();
         initVectHareIntegration();
         initTriggerTracking();
+        initGroupContestTracking();
+        initNearMissTracking();
+        initTimedEffectsTracking();
+        initMessageSnapshots();
+        initTraceRecorder();
+        initChatHighlights();
         initTokenItemizer();
 
         // Initialize UI
@@ -215,10 +319,69 @@ export const TrackHare = {
     getStrategy,
     // Trigger tracking
     analyzeTriggerSource,
+    getEntryKey,
+    resolveEntryIdentity,
     getDeepTriggerInfo,
     getRecursionChain,
     getEnhancedTriggerDetails,
     getProbabilityResult,
+    getTriggerSourceAttribution,
+    getScanState,
+    // Inclusion group contests
+    getGroupContests,
+    getGroupContest,
+    getGroupContestForEntry,
+    // Near-miss analysis
+    getNearMisses,
+    explainInactiveEntry,
+    getNearMissSummary,
+    // Generation types and correlation
+    getCurrentGeneration,
+    getGeneration,
+    getLastTraceByType,
+    getLastTraces,
+    // Generation traces
+    getTrace,
+    getLatestTrace,
+    getTraces,
+    getTraceForMessage,
+    getTracesForEntry,
+    getTracesBetween,
+    // Recorded traces (IndexedDB)
+    getRecordedTraces,
+    getRecorderStats,
+    purgeRecordedTraces,
+    // Lorebook analytics
+    buildActivationAnalytics,
+    showAnalyticsDashboard,
+    // Log parser registry
+    registerLogRule,
+    unregisterLogRule,
+    getActiveLogRules,
+    getLogParserVersion,
+    getLogParserDiagnostics,
+    resetLogParserDiagnostics,
+    getConsoleHookStatus,
+    // Raw [WI] log
+    getWILog,
+    getWILogHistory,
+    showWILogViewer,
+    // Budget overflow
+    getBudgetOverflow,
+    wasEntryBudgetCut,
+    // Timed effects
+    getTimedEffects,
+    getUpcomingExpirations,
+    // Message snapshots
+    getMessageSnapshot,
+    getMessagesForEntry,
+    showSnapshotForMessage,
+    // Swipe comparison
+    getSwipeTraces,
+    compareSwipeTraces,
+    showSwipeComparison,
+    // Chat highlights
+    refreshChatHighlights,
     // VectHare integration
     getVectHareLastSearch,
     getVectHareDebugData,
@@ -248,8 +411,14 @@ export const TrackHare = {
     get deepTriggerData() { return getDeepTriggerDataRaw(); },
     get recursionChain() { return getRecursionChainRaw(); },
     get probabilityResults() { return getProbabilityResultsRaw(); },
+    get probabilityHistory() { return getProbabilityHistoryRaw(); },
+    get nearMisses() { return getNearMisses(); },
+    get groupContests() { return getGroupContests(); },
+    get timedEffects() { return getUpcomingExpirations(); },
+    get budgetOverflow() { return getBudgetOverflow(); },
     get vectHareSearch() { return getLastVectHareSearchRaw(); },
     get itemization() { return getLastItemization(); },
+    get traces() { return getTraces(); },
 };
 
 export { init };
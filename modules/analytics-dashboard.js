@@ -0,0 +1,389 @@
+// =============================================================================
+// ANALYTICS DASHBOARD - Which lorebook entries earn their place
+// Aggregates recorded generation traces per lorebook and per entry: how often
+// each fires, what it costs, why it fires, and which entries never (or always) do
+// =============================================================================
+
+import { getContext } from '../../../../extensions.js';
+import { loadWorldInfo, selected_world_info } from '../../../../../scripts/world-info.js';
+import { getEntryKey } from './trigger-tracking.js';
+import { getTraces } from './generation-trace.js';
+import { getRecordedTraces, flushTraceRecorder } from './trace-recorder.js';
+import { showSnapshotForMessage } from './message-snapshots.js';
+import { reasonDisplay } from './constants.js';
+import { escapeHtml } from './html.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Fire rate at which an entry counts as over-eager */
+const OVER_EAGER_RATE = 0.9;
+
+/** Messages needed before fire rates mean anything */
+const MIN_TURNS_FOR_RATES = 5;
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+/**
+ * Recorded traces plus the ones still only in memory, newest first
+ * @param {string} scope - 'chat' or 'all'
+ */
+async function collectTraces(scope) {
+    const traces = [];
+    const seen = new Set();
+    const add = (trace) => {
+        const id = `${trace.chatId}|${trace.startedAt}|${trace.id}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        traces.push(trace);
+    };
+
+    try {
+        await flushTraceRecorder();
+        (await getRecordedTraces(scope === 'all' ? null : undefined)).forEach(add);
+    } catch (error) {
+        console.warn('[TrackHare] Recorded traces unavailable, using this session only:', error);
+    }
+    getTraces({ currentChat: scope === 'chat' }).forEach(add);
+
+    return traces.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Tokens for a trace entry - in-memory traces may not be counted yet
+ */
+function traceEntryTokens(traceEntry) {
+    if (traceEntry.tokens !== null && traceEntry.tokens !== undefined) return traceEntry.tokens;
+    const content = traceEntry.entry?.content;
+    return content ? Math.ceil(content.length / 4) : null;
+}
+
+/**
+ * Most frequent key in a count object
+ */
+function topKey(counts) {
+    let best = null;
+    for (const [key, count] of Object.entries(counts)) {
+        if (best === null || count > counts[best]) best = key;
+    }
+    return best;
+}
+
+/**
+ * Load every lorebook the stats touch, so entries that never fired show up too
+ */
+async function loadLorebooks(worlds) {
+    const lorebooks = new Map();
+    for (const world of worlds) {
+        try {
+            const data = await loadWorldInfo(world);
+            if (data?.entries) lorebooks.set(world, Object.values(data.entries));
+        } catch (e) {
+            // Deleted or renamed lorebook - its stats still show, without the never-fired list
+        }
+    }
+    return lorebooks;
+}
+
+/**
+ * Aggregate activation stats from recorded traces
+ * Only generations that produced a message count as turns - quiet prompts and
+ * aborted generations would skew the per-message rates
+ * @param {Object} [options]
+ * @param {string} [options.scope] - 'chat' (default) or 'all'
+ * @returns {Promise<Object>} { scope, turns, traceCount, lorebooks, entries, deadEntries, overEagerEntries }
+ */
+export async function buildActivationAnalytics({ scope = 'chat' } = {}) {
+    const traces = await collectTraces(scope);
+    const turns = traces.filter(trace => trace.messageId !== null);
+    const currentChatId = getContext()?.chatId ?? null;
+
+    // Per entry
+    const entryStats = new Map();
+    for (const trace of turns) {
+        for (const traceEntry of trace.entries) {
+            if (traceEntry.type && traceEntry.type !== 'wi') continue;
+
+            let stats = entryStats.get(traceEntry.key);
+            if (!stats) {
+                stats = {
+                    key: traceEntry.key,
+                    world: traceEntry.world,
+                    uid: traceEntry.uid,
+                    name: traceEntry.name,
+                    fires: 0,
+                    tokenSum: 0,
+                    tokenSamples: 0,
+                    reasons: {},
+                    // Traces are newest first - the first one seen is the last fire
+                    lastFired: {
+                        messageId: trace.messageId,
+                        startedAt: trace.startedAt,
+                        inCurrentChat: trace.chatId === currentChatId,
+                    },
+                };
+                entryStats.set(traceEntry.key, stats);
+            }
+
+            stats.fires++;
+            stats.reasons[traceEntry.reason] = (stats.reasons[traceEntry.reason] || 0) + 1;
+            const tokens = traceEntryTokens(traceEntry);
+            if (tokens !== null) {
+                stats.tokenSum += tokens;
+                stats.tokenSamples++;
+            }
+        }
+    }
+
+    const entries = [...entryStats.values()].map(stats => ({
+        key: stats.key,
+        world: stats.world,
+        uid: stats.uid,
+        name: stats.name,
+        fires: stats.fires,
+        fireRate: turns.length ? stats.fires / turns.length : 0,
+        avgTokens: stats.tokenSamples ? Math.round(stats.tokenSum / stats.tokenSamples) : null,
+        topReason: topKey(stats.reasons),
+        reasons: stats.reasons,
+        lastFired: stats.lastFired,
+    })).sort((a, b) => b.fires - a.fires);
+
+    // Per lorebook - every book that fired, plus the globally selected ones
+    const worlds = new Set([...entries.map(e => e.world), ...(selected_world_info || [])]);
+    const lorebookEntries = await loadLorebooks(worlds);
+
+    const deadEntries = [];
+    const constantKeys = new Set();
+    for (const [world, worldEntries] of lorebookEntries) {
+        for (const entry of worldEntries) {
+            const key = getEntryKey(world, entry.uid);
+            if (entry.constant) constantKeys.add(key);
+            if (entry.disable || entryStats.has(key)) continue;
+            deadEntries.push({ key, world, uid: entry.uid, name: entry.comment || entry.key?.[0] || `Entry #${entry.uid}` });
+        }
+    }
+
+    const overEagerEntries = turns.length >= MIN_TURNS_FOR_RATES
+        ? entries.filter(e => e.fireRate >= OVER_EAGER_RATE).map(e => ({ ...e, constant: constantKeys.has(e.key) || e.topReason === 'constant' }))
+        : [];
+
+    const lorebooks = [...worlds].map(world => {
+        const fired = entries.filter(e => e.world === world);
+        const reasons = {};
+        let tokenSum = 0;
+        let tokenFires = 0;
+        for (const e of fired) {
+            for (const [reason, count] of Object.entries(e.reasons)) reasons[reason] = (reasons[reason] || 0) + count;
+            if (e.avgTokens !== null) {
+                tokenSum += e.avgTokens * e.fires;
+                tokenFires += e.fires;
+            }
+        }
+        const fires = fired.reduce((sum, e) => sum + e.fires, 0);
+        return {
+            world,
+            totalEntries: lorebookEntries.get(world)?.filter(entry => !entry.disable).length ?? null,
+            firedEntries: fired.length,
+            fires,
+            firesPerTurn: turns.length ? fires / turns.length : 0,
+            avgTokens: tokenFires ? Math.round(tokenSum / tokenFires) : null,
+            avgTokensPerTurn: turns.length ? Math.round(tokenSum / turns.length) : 0,
+            topReason: topKey(reasons),
+            deadCount: deadEntries.filter(e => e.world === world).length,
+        };
+    }).sort((a, b) => b.fires - a.fires);
+
+    return { scope, turns: turns.length, traceCount: traces.length, lorebooks, entries, deadEntries, overEagerEntries };
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function formatReason(reason) {
+    if (!reason) return '—';
+    const display = reasonDisplay[reason];
+    return display ? `${display.emoji} ${display.text}` : escapeHtml(reason);
+}
+
+function formatPercent(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+function formatLastFired(lastFired) {
+    const when = new Date(lastFired.startedAt).toLocaleDateString();
+    if (!lastFired.inCurrentChat) return `${when}`;
+    return `<a class="ck-analytics-message" data-message-id="${lastFired.messageId}" title="Show what fired with this message">#${lastFired.messageId}</a> • ${when}`;
+}
+
+function renderLorebookTable(lorebooks) {
+    if (!lorebooks.length) return '<div class="ck-swipe-empty">No lorebooks</div>';
+    return `
+        <table class="ck-swipe-table ck-analytics-table">
+            <thead>
+                <tr><th>Lorebook</th><th>Fired / Entries</th><th>Fires</th><th>Per msg</th><th>Avg tokens</th><th>Tokens / msg</th><th>Top reason</th><th>Never fired</th></tr>
+            </thead>
+            <tbody>
+                ${lorebooks.map(book => `
+                    <tr>
+                        <td>${escapeHtml(book.world)}</td>
+                        <td>${book.firedEntries} / ${book.totalEntries ?? '?'}</td>
+                        <td>${book.fires}</td>
+                        <td>${book.firesPerTurn.toFixed(1)}</td>
+                        <td>${book.avgTokens ?? '—'}</td>
+                        <td>${book.avgTokensPerTurn}</td>
+                        <td>${formatReason(book.topReason)}</td>
+                        <td>${book.deadCount}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderEntryTable(entries) {
+    return `
+        <table class="ck-swipe-table ck-analytics-table">
+            <thead>
+                <tr><th>Entry</th><th>Fires</th><th>Rate</th><th>Avg tokens</th><th>Top reason</th><th>Last fired</th></tr>
+            </thead>
+            <tbody>
+                ${entries.map(e => `
+                    <tr>
+                        <td title="${escapeHtml(e.world)} #${e.uid}">${escapeHtml(e.name)}</td>
+                        <td>${e.fires}</td>
+                        <td>${formatPercent(e.fireRate)}</td>
+                        <td>${e.avgTokens ?? '—'}</td>
+                        <td>${formatReason(e.topReason)}</td>
+                        <td>${formatLastFired(e.lastFired)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Group a list by lorebook into collapsible blocks
+ */
+function renderByLorebook(items, renderItems) {
+    const byWorld = new Map();
+    for (const item of items) {
+        if (!byWorld.has(item.world)) byWorld.set(item.world, []);
+        byWorld.get(item.world).push(item);
+    }
+    return [...byWorld].map(([world, worldItems]) => `
+        <details class="ck-analytics-book">
+            <summary>${escapeHtml(world)} <span class="ck-rv-stat">${worldItems.length}</span></summary>
+            ${renderItems(worldItems)}
+        </details>
+    `).join('');
+}
+
+function renderDashboard(analytics) {
+    if (!analytics.turns) {
+        return `
+            <div class="ck-rv-empty">
+                <div class="ck-rv-empty__icon">📈</div>
+                <div class="ck-rv-empty__text">No recorded messages yet</div>
+                <div class="ck-rv-empty__hint">Stats build up as messages are generated with trace recording on</div>
+            </div>
+        `;
+    }
+
+    const overEager = analytics.overEagerEntries.length
+        ? `<ul class="ck-analytics-list">${analytics.overEagerEntries.map(e => `
+            <li>${escapeHtml(e.name)} <span class="ck-analytics-muted">(${escapeHtml(e.world)})</span> — ${formatPercent(e.fireRate)} of messages${e.constant ? ' <span class="ck-analytics-muted">constant, expected</span>' : ''}</li>
+        `).join('')}</ul>`
+        : `<div class="ck-swipe-empty">${analytics.turns < MIN_TURNS_FOR_RATES ? `Needs at least ${MIN_TURNS_FOR_RATES} messages` : 'None'}</div>`;
+
+    const dead = analytics.deadEntries.length
+        ? renderByLorebook(analytics.deadEntries, items => `<ul class="ck-analytics-list">${items.map(e => `<li>${escapeHtml(e.name)} <span class="ck-analytics-muted">#${e.uid}</span></li>`).join('')}</ul>`)
+        : '<div class="ck-swipe-empty">Every enabled entry has fired</div>';
+
+    return `
+        <div class="ck-analytics-section">
+            <div class="ck-analytics-section__title">📚 Lorebooks</div>
+            ${renderLorebookTable(analytics.lorebooks)}
+        </div>
+        <div class="ck-analytics-section">
+            <div class="ck-analytics-section__title">🔥 Over-eager <span class="ck-analytics-muted">fire in ${formatPercent(OVER_EAGER_RATE)}+ of messages</span></div>
+            ${overEager}
+        </div>
+        <div class="ck-analytics-section">
+            <div class="ck-analytics-section__title">🪦 Never fired <span class="ck-rv-stat">${analytics.deadEntries.length}</span></div>
+            ${dead}
+        </div>
+        <div class="ck-analytics-section">
+            <div class="ck-analytics-section__title">📋 Entries</div>
+            ${renderByLorebook(analytics.entries, renderEntryTable)}
+        </div>
+    `;
+}
+
+/**
+ * Show the lorebook activation analytics dashboard
+ */
+export async function showAnalyticsDashboard() {
+    const existing = document.querySelector('.ck-analytics-modal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'ck-analytics-modal';
+    modal.innerHTML = `
+        <div class="ck-analytics-modal__backdrop"></div>
+        <div class="ck-analytics-modal__content">
+            <div class="ck-rv-header">
+                <span class="ck-rv-header__title">📈 Lorebook Analytics</span>
+                <div class="ck-rv-header__stats"></div>
+                <select class="ck-analytics-scope" title="Which traces to include">
+                    <option value="chat">This chat</option>
+                    <option value="all">All chats</option>
+                </select>
+                <button class="ck-rv-header__close">✕</button>
+            </div>
+            <div class="ck-rv-body ck-analytics-body"></div>
+        </div>
+    `;
+
+    const body = modal.querySelector('.ck-analytics-body');
+    const stats = modal.querySelector('.ck-rv-header__stats');
+    const scopePicker = modal.querySelector('.ck-analytics-scope');
+
+    const load = async () => {
+        body.innerHTML = '<div class="ck-swipe-empty">Loading…</div>';
+        const analytics = await buildActivationAnalytics({ scope: scopePicker.value });
+        stats.innerHTML = `
+            <span class="ck-rv-stat">${analytics.turns} messages</span>
+            <span class="ck-rv-stat">${analytics.entries.length} entries fired</span>
+            <span class="ck-rv-stat">${analytics.deadEntries.length} never fired</span>
+        `;
+        body.innerHTML = renderDashboard(analytics);
+    };
+
+    const close = () => {
+        modal.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
+    function escHandler(e) {
+        if (e.key === 'Escape') close();
+    }
+
+    body.addEventListener('click', (e) => {
+        const link = e.target.closest('.ck-analytics-message');
+        if (!link) return;
+        close();
+        showSnapshotForMessage(Number(link.dataset.messageId));
+    });
+
+    scopePicker.addEventListener('change', load);
+    modal.querySelector('.ck-rv-header__close').onclick = close;
+    modal.querySelector('.ck-analytics-modal__backdrop').onclick = close;
+    document.addEventListener('keydown', escHandler);
+
+    document.body.appendChild(modal);
+    await load();
+}
@@ -0,0 +1,60 @@
+// =============================================================================
+// BUDGET OVERFLOW - Entries that matched but were cut by the WI token budget
+// Trigger tracking records the cut with the rest of the scan; this reads it and shows the banner
+// =============================================================================
+
+import { getBudgetOverflow, resolveEntryIdentity } from './trigger-tracking.js';
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Whether an entry matched but was cut by the budget in the last scan
+ * @param {Object|string|number} worldOrEntry - Entry, world name, world§§§uid key, or legacy bare uid
+ * @param {number} [uid]
+ * @returns {boolean}
+ */
+export function wasEntryBudgetCut(worldOrEntry, uid) {
+    const report = getBudgetOverflow();
+    if (!report) return false;
+    const identity = resolveEntryIdentity(worldOrEntry, uid);
+    return report.cutEntries.some(cut => cut.uid === identity.uid && (identity.world === undefined || cut.world === identity.world));
+}
+
+// =============================================================================
+// UI RENDERING
+// =============================================================================
+
+/**
+ * Render the budget warning banner at the top of the panel
+ * @param {HTMLElement} panel
+ */
+export function renderBudgetBanner(panel) {
+    const report = getBudgetOverflow();
+    if (!report) return;
+
+    const budgetSource = report.budgetCap > 0
+        ? `${report.budgetPercent}% of context, capped at ${report.budgetCap}`
+        : `${report.budgetPercent}% of context`;
+    const names = report.cutEntries.map(cut => cut.name);
+
+    const banner = document.createElement('div');
+    banner.className = 'ck-budget-banner';
+    banner.title = [
+        `Budget: ${report.budget ?? '?'} tokens (${budgetSource})`,
+        `Used before the cut: ${report.tokensUsed ?? '?'} tokens`,
+        `Cut at position ${report.cutPosition ?? '?'} (loop ${report.loop}${report.cutOrder !== null ? `, order ${report.cutOrder}` : ''})`,
+        '',
+        ...report.cutEntries.map(cut => `💸 ${cut.name} (${cut.world}, order ${cut.order ?? '?'})`),
+    ].join('\n');
+    banner.innerHTML = `
+        <span class="ck-budget-banner__icon">💸</span>
+        <span class="ck-budget-banner__text"></span>
+    `;
+    banner.querySelector('.ck-budget-banner__text').textContent = names.length
+        ? `WI budget reached (${report.tokensUsed ?? '?'}/${report.budget ?? '?'} tok) - ${names.length} cut: ${names.slice(0, 3).join(', ')}${names.length > 3 ? ` +${names.length - 3} more` : ''}`
+        : `WI budget reached (${report.tokensUsed ?? '?'}/${report.budget ?? '?'} tok) at position ${report.cutPosition ?? '?'}`;
+
+    panel.prepend(banner);
+}
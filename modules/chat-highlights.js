@@ -0,0 +1,165 @@
+// =============================================================================
+// CHAT HIGHLIGHTS - Mark the keywords that triggered lore in rendered messages
+// Optional overlay; draws the chat matches recorded when the entries activated,
+// so the reply and later messages never count as triggers
+// =============================================================================
+
+import { event_types, eventSource } from '../../../../../script.js';
+import { extension_settings } from '../../../../extensions.js';
+import { findKeySpan } from './key-matching.js';
+import { reasonDisplay } from './constants.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+const HIGHLIGHT_CLASS = 'ck-kw-highlight';
+
+/** Entries from the latest activation in this chat */
+let highlightEntries = [];
+
+// =============================================================================
+// HIGHLIGHT COLLECTION
+// =============================================================================
+
+/**
+ * Work out which keys to highlight in which messages
+ * @returns {Map<number, Array<{ key, entry, type }>>} message index -> keys
+ */
+function collectHighlights(entryList) {
+    const byMessage = new Map();
+
+    for (const entry of entryList) {
+        if (entry.type !== 'wi') continue;
+
+        for (const match of entry.chatTrigger?.matchedKeys || []) {
+            if (!byMessage.has(match.messageIndex)) byMessage.set(match.messageIndex, []);
+            byMessage.get(match.messageIndex).push({ key: match.key, type: match.type, entry });
+        }
+    }
+    return byMessage;
+}
+
+/**
+ * Tooltip line for one entry behind a highlight
+ */
+function describeHighlight({ key, type, entry }) {
+    const reason = reasonDisplay[entry.triggerReason]?.text || entry.triggerReason || 'unknown';
+    const name = entry.comment || entry.key?.[0] || `Entry #${entry.uid}`;
+    return `${name} (${entry.world}) • ${reason} • ${type} key '${key}'`;
+}
+
+// =============================================================================
+// DOM
+// =============================================================================
+
+/**
+ * Remove every highlight from the chat, restoring the original text nodes
+ */
+function clearHighlights() {
+    document.querySelectorAll(`#chat .${HIGHLIGHT_CLASS}`).forEach(mark => {
+        const parent = mark.parentNode;
+        parent.replaceChild(document.createTextNode(mark.textContent), mark);
+        parent.normalize();
+    });
+}
+
+/**
+ * Find every span in a text node where any of the keys match, earliest first
+ */
+function findSpans(text, keys) {
+    const spans = [];
+    for (const item of keys) {
+        let from = 0;
+        while (from < text.length) {
+            const span = findKeySpan(text.slice(from), item.key, item.entry);
+            if (!span || span.end === span.start) break;
+            spans.push({ start: from + span.start, end: from + span.end, items: [item] });
+            from += span.end;
+        }
+    }
+
+    // Merge overlapping spans so one word can name several entries
+    spans.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const span of spans) {
+        const last = merged[merged.length - 1];
+        if (last && span.start < last.end) {
+            last.end = Math.max(last.end, span.end);
+            last.items.push(...span.items);
+        } else {
+            merged.push(span);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Wrap matching keys in one rendered message
+ */
+function highlightMessage(messageIndex, keys) {
+    const textEl = document.querySelector(`#chat .mes[mesid="${messageIndex}"] .mes_text`);
+    if (!textEl) return;
+
+    const walker = document.createTreeWalker(textEl, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    for (const node of nodes) {
+        const spans = findSpans(node.textContent, keys);
+        if (!spans.length) continue;
+
+        const fragment = document.createDocumentFragment();
+        let cursor = 0;
+        for (const span of spans) {
+            fragment.appendChild(document.createTextNode(node.textContent.slice(cursor, span.start)));
+
+            const mark = document.createElement('mark');
+            mark.className = HIGHLIGHT_CLASS;
+            mark.textContent = node.textContent.slice(span.start, span.end);
+            mark.title = [...new Set(span.items.map(describeHighlight))].join('\n');
+            fragment.appendChild(mark);
+
+            cursor = span.end;
+        }
+        fragment.appendChild(document.createTextNode(node.textContent.slice(cursor)));
+        node.parentNode.replaceChild(fragment, node);
+    }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Re-apply keyword highlights
+ * @param {Array<Object>} [entryList] - New activation to highlight; omit to redraw the current one
+ */
+export function refreshChatHighlights(entryList) {
+    if (entryList) highlightEntries = entryList;
+
+    clearHighlights();
+    if (!extension_settings.TrackHare?.highlightKeywords) return;
+
+    const byMessage = collectHighlights(highlightEntries);
+    for (const [messageIndex, keys] of byMessage) {
+        highlightMessage(messageIndex, keys);
+    }
+}
+
+/**
+ * Initialize chat highlights
+ * WORLD_INFO_ACTIVATED refreshes come from index.js once entries are classified
+ */
+export function initChatHighlights() {
+    const refreshSoon = () => setTimeout(() => refreshChatHighlights(), 0);
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, refreshSoon);
+    eventSource.on(event_types.USER_MESSAGE_RENDERED, refreshSoon);
+    eventSource.on(event_types.MESSAGE_UPDATED, refreshSoon);
+    // The last activation belongs to the previous chat
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        highlightEntries = [];
+        clearHighlights();
+    });
+    console.log('[TrackHare] Chat highlights initialized');
+}
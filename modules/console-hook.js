@@ -0,0 +1,132 @@
+// =============================================================================
+// CONSOLE HOOK - One shared, chain-safe console.debug interceptor
+// Wraps console.debug and fans lines out to listeners by prefix. Never restores
+// over another extension's wrapper - it goes quiet instead, and wraps again if
+// our wrapper has dropped out of console.debug by the time a capture starts
+// =============================================================================
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Listeners - { prefix, handler } */
+const listeners = new Set();
+
+/** console.debug as it was when we wrapped it */
+let previousDebug = null;
+
+/** Our newest wrapper, so we can tell whether console.debug still is it */
+let hookWrapper = null;
+
+/** Set while a call is passing through our wrappers - older ones in the chain stay quiet */
+let dispatching = false;
+
+/** Times console.debug was wrapped again after our wrapper dropped out */
+let rewraps = 0;
+
+/** Listener errors swallowed so logging never breaks */
+let listenerErrors = 0;
+
+// =============================================================================
+// HOOK
+// =============================================================================
+
+/**
+ * Hand a console.debug call to the listeners whose prefix it starts with
+ * Only the first argument is looked at - nothing is formatted or stringified
+ */
+function dispatch(args) {
+    const first = args[0];
+    if (typeof first !== 'string') return;
+
+    for (const listener of listeners) {
+        if (!first.startsWith(listener.prefix)) continue;
+        try {
+            listener.handler(args);
+        } catch (error) {
+            listenerErrors++;
+            console.warn('[TrackHare] console.debug listener failed:', error);
+        }
+    }
+}
+
+/**
+ * Wrap console.debug as it is now
+ * Each wrapper calls the function it wrapped, so an older wrapper of ours can
+ * still be in the chain - only the outermost one dispatches a call
+ */
+function installHook() {
+    const previous = console.debug;
+    const wrapper = function (...args) {
+        if (dispatching) return previous.apply(this, args);
+        dispatching = true;
+        try {
+            if (listeners.size) dispatch(args);
+            return previous.apply(this, args);
+        } finally {
+            dispatching = false;
+        }
+    };
+
+    previousDebug = previous;
+    hookWrapper = wrapper;
+    console.debug = wrapper;
+}
+
+/**
+ * Unwrap console.debug if nobody wrapped it after us
+ * Otherwise the wrapper stays in their chain as a pass-through
+ */
+function releaseHook() {
+    if (!hookWrapper || console.debug !== hookWrapper) return;
+    console.debug = previousDebug;
+    hookWrapper = null;
+    previousDebug = null;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Listen to console.debug calls whose first argument starts with a prefix
+ * @param {string} prefix - e.g. '[WI]'
+ * @param {Function} handler - Called with the raw argument array
+ * @returns {Function} Call to stop listening
+ */
+export function addConsoleDebugListener(prefix, handler) {
+    const listener = { prefix, handler };
+    listeners.add(listener);
+    if (!hookWrapper) installHook();
+
+    return () => {
+        listeners.delete(listener);
+        if (!listeners.size) releaseHook();
+    };
+}
+
+/**
+ * Wrap console.debug again if our wrapper is no longer it
+ * Another extension may have restored the console.debug it saw before us, which
+ * cuts our wrapper out; call this when a capture starts
+ */
+export function ensureConsoleHook() {
+    if (!listeners.size || console.debug === hookWrapper) return;
+    rewraps++;
+    console.warn('[TrackHare] console.debug changed since it was wrapped - wrapping it again');
+    installHook();
+}
+
+/**
+ * Current state of the hook, for debugging clashes with other extensions
+ * @returns {Object} { installed, listeners, wrappedByOthers, rewraps, listenerErrors }
+ */
+export function getConsoleHookStatus() {
+    return {
+        installed: !!hookWrapper,
+        listeners: listeners.size,
+        wrappedByOthers: !!hookWrapper && console.debug !== hookWrapper,
+        rewraps,
+        listenerErrors,
+    };
+}
@@ -28,6 +28,8 @@ export const strategy = {
     scenario_trigger: '🎬',
     system: '⚡',
     recursive: '🔄',
+    group_priority: '👥',
+    group_random: '👥',
     unknown: '❓',
 };
 
@@ -50,6 +52,8 @@ export const strategyDescriptions = {
     scenario: 'Matched in scenario',
     system: 'System activated',
     recursive: 'Triggered by recursion',
+    group_priority: 'Won inclusion group by priority',
+    group_random: 'Won inclusion group by weighted roll',
     unknown: 'Unknown trigger',
 };
 
@@ -76,6 +80,8 @@ export const reasonDisplay = {
     'scenario': { emoji: '🎬', text: 'SCENARIO', color: '#84cc16' },
     'authors_note': { emoji: '📝', text: 'AUTHOR\'S NOTE', color: '#8b5cf6' },
     'normal_key_match': { emoji: '🟢', text: 'KEY MATCH', color: '#10b981' },
+    'group_priority': { emoji: '👥', text: 'GROUP (PRIORITY)', color: '#d946ef' },
+    'group_random': { emoji: '👥', text: 'GROUP (ROLL)', color: '#d946ef' },
 };
 
 // Position name mapping
@@ -109,4 +115,23 @@ export const reasonDescriptions = {
     'scenario': 'Keys found in scenario text',
     'authors_note': 'Keys found in Author\'s Note',
     'normal_key_match': 'Standard key-based trigger',
+    'group_priority': 'Won its inclusion group as the prioritized entry',
+    'group_random': 'Won its inclusion group in the weighted roll',
+};
+
+// Near-miss reasons - why an entry in a loaded lorebook did NOT activate
+export const nearMissReasons = {
+    'disabled': { emoji: '⛔', text: 'DISABLED', color: '#64748b', description: 'Entry is disabled' },
+    'suppressed': { emoji: '🚫', text: 'SUPPRESSED', color: '#64748b', description: 'Suppressed by @@dont_activate decorator' },
+    'filtered': { emoji: '🧹', text: 'FILTERED', color: '#64748b', description: 'Filtered out by character, tag or generation type filter' },
+    'delay': { emoji: '⏱️', text: 'DELAY', color: '#f59e0b', description: 'Delay timed effect still active' },
+    'cooldown': { emoji: '🧊', text: 'COOLDOWN', color: '#06b6d4', description: 'Cooldown timed effect still active' },
+    'recursion': { emoji: '🔄', text: 'RECURSION', color: '#8b5cf6', description: 'Excluded by recursion settings' },
+    'probability': { emoji: '🎲', text: 'ROLL LOST', color: '#ef4444', description: 'Matched but lost the probability roll' },
+    'group_loser': { emoji: '👥', text: 'GROUP LOSER', color: '#d946ef', description: 'Matched but lost its inclusion group' },
+    'budget': { emoji: '💸', text: 'BUDGET CUT', color: '#ef4444', description: 'Matched but cut by the WI token budget' },
+    'secondary_logic': { emoji: '🟡', text: 'LOGIC FAILED', color: '#f59e0b', description: 'Primary key matched but secondary logic failed' },
+    'no_key_match': { emoji: '🔑', text: 'NO MATCH', color: '#475569', description: 'No key matched in the scan window' },
+    'no_keys': { emoji: '❔', text: 'NO KEYS', color: '#475569', description: 'Entry has no keys and is not constant' },
+    'unknown': { emoji: '❓', text: 'UNKNOWN', color: '#64748b', description: 'Matched but dropped for an unknown reason' },
 };
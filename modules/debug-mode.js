@@ -0,0 +1,126 @@
+// =============================================================================
+// DEBUG MODE - Raw trigger data under every panel entry (setting: worldBookDebug)
+// Shows where the trigger reason came from, how sure we are, the loop it fired
+// in, and an inline JSON inspector over everything tracked for the entry
+// =============================================================================
+
+import { extension_settings } from '../../../../extensions.js';
+import { getDeepTriggerInfo, getEnhancedTriggerDetails, getRecursionChain, getScanOutcome } from './trigger-tracking.js';
+import { getTriggerSourceAttribution } from './source-attribution.js';
+import { escapeHtml } from './html.js';
+
+/** Where a trigger reason came from */
+const REASON_SOURCES = {
+    log: { emoji: '📜', text: 'LOG', description: 'Parsed from a [WI] log line' },
+    fallback: { emoji: '🤔', text: 'FALLBACK', description: 'Guessed from the entry\'s settings by determineTriggerReason - the log said nothing about why it fired' },
+    attribution: { emoji: '📍', text: 'SOURCE MATCH', description: 'Key match attributed to a non-chat scan source' },
+    snapshot: { emoji: '📸', text: 'SNAPSHOT', description: 'Recorded with the message' },
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Plain copy of a value for JSON - Maps become objects, Sets arrays
+ * Only a value already on the path to itself is a cycle; one reached twice is printed twice
+ */
+function toPlain(value, ancestors) {
+    if (!value || typeof value !== 'object') return value;
+    if (typeof value.toJSON === 'function') return value.toJSON();
+    if (ancestors.has(value)) return '[circular]';
+
+    ancestors.add(value);
+    let plain;
+    if (value instanceof Map) plain = Object.fromEntries([...value].map(([key, val]) => [key, toPlain(val, ancestors)]));
+    else if (value instanceof Set || Array.isArray(value)) plain = [...value].map(val => toPlain(val, ancestors));
+    else plain = Object.fromEntries(Object.entries(value).map(([key, val]) => [key, toPlain(val, ancestors)]));
+    ancestors.delete(value);
+    return plain;
+}
+
+/**
+ * JSON that survives Maps, Sets and cycles
+ */
+function toInspectableJson(value) {
+    return JSON.stringify(toPlain(value, new Set()), null, 2);
+}
+
+/**
+ * Everything tracked for one entry, for the inspector
+ */
+function collectDebugData(entry, details) {
+    if (entry.snapshot) return { snapshot: entry.snapshot, entry };
+    return {
+        triggerReason: entry.triggerReason ?? null,
+        details,
+        deepTriggerInfo: getDeepTriggerInfo(entry),
+        recursionChain: getRecursionChain(entry),
+        scanOutcome: getScanOutcome(entry),
+        sourceAttribution: getTriggerSourceAttribution(entry),
+        entry,
+    };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Whether Debug Mode is on
+ * @returns {boolean}
+ */
+export function isDebugMode() {
+    return extension_settings.TrackHare?.worldBookDebug ?? false;
+}
+
+/**
+ * Build the debug block for a panel entry
+ * @param {Object} entry
+ * @returns {HTMLElement}
+ */
+export function renderEntryDebug(entry) {
+    const details = entry.snapshot ? null : getEnhancedTriggerDetails(entry);
+
+    // Source attribution rewrites a key-match reason after the scan
+    let reasonSource = entry.snapshot ? 'snapshot' : details.reasonSource;
+    if (details && entry.triggerReason && entry.triggerReason !== details.reason && entry.triggerReason !== 'vector') {
+        reasonSource = 'attribution';
+    }
+    const source = REASON_SOURCES[reasonSource];
+
+    const fields = [
+        `<span class="ck-entry-debug__field" title="${escapeHtml(source.description)}">${source.emoji} ${source.text}</span>`,
+    ];
+    if (details) {
+        const confidence = details.confidence ?? (details.confident ? 'confident' : 'guess');
+        fields.push(`<span class="ck-entry-debug__field" title="Confidence in the trigger reason${details.confident ? '' : ' - the fallback could not tell why this entry fired'}">${details.confident ? '✓' : '?'} ${escapeHtml(String(confidence))}</span>`);
+        fields.push(`<span class="ck-entry-debug__field" title="Scan loop the entry activated in">🔁 loop ${details.loopCount}</span>`);
+        fields.push(`<span class="ck-entry-debug__field" title="Recursion level">L${details.recursionLevel}</span>`);
+        const rule = getDeepTriggerInfo(entry)?.parserRule;
+        if (rule) fields.push(`<span class="ck-entry-debug__field" title="Log parser rule">${escapeHtml(rule)}</span>`);
+    } else {
+        fields.push(`<span class="ck-entry-debug__field">L${entry.snapshot.level}</span>`);
+    }
+    fields.push(`<span class="ck-entry-debug__field" title="Entry id">${escapeHtml(entry.world || '?')} #${entry.uid}</span>`);
+
+    const block = document.createElement('div');
+    block.className = 'ck-entry-debug';
+    block.innerHTML = `
+        <div class="ck-entry-debug__fields">${fields.join('')}</div>
+        <details class="ck-entry-debug__inspector">
+            <summary>{ } Inspect</summary>
+            <pre class="ck-entry-debug__json"></pre>
+        </details>
+    `;
+
+    // JSON is only built when the inspector is opened - entry objects can be large
+    const inspector = block.querySelector('.ck-entry-debug__inspector');
+    inspector.addEventListener('toggle', () => {
+        if (!inspector.open) return;
+        inspector.querySelector('.ck-entry-debug__json').textContent = toInspectableJson(collectDebugData(entry, details));
+    });
+    block.addEventListener('click', (e) => e.stopPropagation());
+
+    return block;
+}
@@ -0,0 +1,130 @@
+// =============================================================================
+// ENTRY DIFF - What changed in the lore since the previous generation
+// Marks panel entries as new or still active, and lists the ones that dropped
+// out with the reason they last fired for (setting: panelDiffMode)
+// =============================================================================
+
+import { extension_settings } from '../../../../extensions.js';
+import { getEntryKey } from './trigger-tracking.js';
+import { getPreviousPanelTrace } from './generation-trace.js';
+import { reasonDisplay } from './constants.js';
+
+/** How each diff state shows on an entry row */
+export const DIFF_STATES = {
+    new: { emoji: '🆕', text: 'NEW', description: 'Activated this turn, not the turn before' },
+    kept: { emoji: '＝', text: 'STILL ACTIVE', description: 'Also active the turn before' },
+    dropped: { emoji: '➖', text: 'DROPPED', description: 'Active the turn before, not this turn' },
+};
+
+/**
+ * Whether the panel shows the turn-over-turn diff
+ * @returns {boolean}
+ */
+export function isDiffMode() {
+    return extension_settings.TrackHare?.panelDiffMode ?? false;
+}
+
+/**
+ * Compare the panel's entries with the previous panel generation
+ * @param {Array<Object>} entryList - Entries active now
+ * @returns {Object|null} { previousTrace, states: Map(key -> 'new'|'kept'), dropped: [entry], counts } - null if there is no previous turn
+ */
+export function computeEntryDiff(entryList) {
+    const previousTrace = getPreviousPanelTrace();
+    if (!previousTrace) return null;
+
+    const previousKeys = new Set(previousTrace.entries.map(e => e.key));
+    const currentKeys = new Set(entryList.map(entry => getEntryKey(entry.world, entry.uid)));
+
+    const states = new Map();
+    for (const key of currentKeys) states.set(key, previousKeys.has(key) ? 'kept' : 'new');
+
+    // The previous generation's entry objects still carry the reason they fired for
+    const dropped = previousTrace.entries
+        .filter(traceEntry => !currentKeys.has(traceEntry.key))
+        .map(traceEntry => ({ ...traceEntry.entry, world: traceEntry.world, uid: traceEntry.uid, triggerReason: traceEntry.reason, lastRecursionLevel: traceEntry.recursionLevel, diffDropped: true }));
+
+    return {
+        previousTrace,
+        states,
+        dropped,
+        counts: {
+            new: [...states.values()].filter(state => state === 'new').length,
+            kept: [...states.values()].filter(state => state === 'kept').length,
+            dropped: dropped.length,
+        },
+    };
+}
+
+/**
+ * Diff state of one entry
+ * @param {Object|null} diff - From computeEntryDiff
+ * @param {Object} entry
+ * @returns {string|null} 'new' | 'kept' | 'dropped' | null
+ */
+export function getEntryDiffState(diff, entry) {
+    if (!diff) return null;
+    if (entry.diffDropped) return 'dropped';
+    return diff.states.get(getEntryKey(entry.world, entry.uid)) || null;
+}
+
+/**
+ * Summary line for the top of the panel
+ * @param {Object|null} diff
+ * @returns {HTMLElement}
+ */
+export function renderDiffSummary(diff) {
+    const summary = document.createElement('div');
+    summary.className = 'ck-diff-summary';
+
+    if (!diff) {
+        summary.textContent = 'No previous turn to compare with yet';
+        return summary;
+    }
+
+    const { counts, previousTrace } = diff;
+    summary.innerHTML = `
+        <span class="ck-diff-summary__count ck-diff-summary__count--new" title="${DIFF_STATES.new.description}">${DIFF_STATES.new.emoji} ${counts.new} new</span>
+        <span class="ck-diff-summary__count" title="${DIFF_STATES.kept.description}">${DIFF_STATES.kept.emoji} ${counts.kept} still active</span>
+        <span class="ck-diff-summary__count ck-diff-summary__count--dropped" title="${DIFF_STATES.dropped.description}">${DIFF_STATES.dropped.emoji} ${counts.dropped} dropped</span>
+        <span class="ck-diff-summary__since">since ${new Date(previousTrace.startedAt).toLocaleTimeString()}</span>
+    `;
+    return summary;
+}
+
+/**
+ * Row for an entry that dropped out - greyed, with the reason it last fired for
+ * @param {Object} entry - A dropped entry from computeEntryDiff
+ * @returns {HTMLElement}
+ */
+export function renderDroppedEntry(entry) {
+    const reason = reasonDisplay[entry.triggerReason];
+    const row = document.createElement('div');
+    row.className = 'ck-entry ck-entry--dropped';
+    row.dataset.ckEntryKey = getEntryKey(entry.world, entry.uid);
+    row.title = DIFF_STATES.dropped.description;
+
+    const topRow = document.createElement('div');
+    topRow.className = 'ck-entry__top-row';
+
+    const icon = document.createElement('div');
+    icon.className = 'ck-entry__icon';
+    icon.textContent = DIFF_STATES.dropped.emoji;
+
+    const title = document.createElement('div');
+    title.className = 'ck-entry__title';
+    title.textContent = entry.comment?.length ? entry.comment : (entry.key?.filter(k => k).join(', ') || 'Unnamed Entry');
+
+    const indicators = document.createElement('div');
+    indicators.className = 'ck-entry__indicators';
+
+    const lastReason = document.createElement('span');
+    lastReason.className = 'ck-entry__trigger-reason';
+    lastReason.textContent = `last: ${reason ? `${reason.emoji} ${reason.text}` : (entry.triggerReason || 'unknown').toUpperCase()}`;
+    lastReason.title = 'Why it fired the turn before';
+    indicators.appendChild(lastReason);
+
+    topRow.append(icon, title, indicators);
+    row.appendChild(topRow);
+    return row;
+}
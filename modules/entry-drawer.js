@@ -0,0 +1,242 @@
+// =============================================================================
+// ENTRY DRAWER - Detail drawer under an expanded panel entry
+// Content with the matched keys highlighted, key match state, placement,
+// recursion settings, token cost and what pulled the entry in
+// =============================================================================
+
+import { getEnhancedTriggerDetails } from './trigger-tracking.js';
+import { getTriggerSourceAttribution } from './source-attribution.js';
+import { getLastItemization } from './token-itemizer.js';
+import { findKeySpan, checkSecondaryKeys } from './key-matching.js';
+import { openLorebookEntry } from './recursion-visualizer.js';
+import { positionNames, selectiveLogicNames } from './constants.js';
+import { escapeHtml } from './html.js';
+import { countTokens } from './token-count.js';
+
+/** Content longer than this is cut in the drawer - the editor has the rest */
+const CONTENT_PREVIEW_LIMIT = 4000;
+
+/** ST's "at depth" position - the only one where depth means anything */
+const POSITION_AT_DEPTH = 4;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Keys that matched this turn - from the scan log, the chat as it was at activation, and other scan sources
+ * Stored snapshots only know the one keyword recorded with the message
+ */
+function getMatchedKeys(entry) {
+    if (entry.snapshot) return new Set(entry.snapshot.keyword ? [entry.snapshot.keyword] : []);
+
+    const matched = new Set();
+    const { matchedKeyword } = getEnhancedTriggerDetails(entry);
+    if (matchedKeyword) matched.add(matchedKeyword);
+    entry.chatTrigger?.matchedKeys.forEach(k => matched.add(k.key));
+    getTriggerSourceAttribution(entry)?.matches.forEach(m => matched.add(m.matchedKey));
+    return matched;
+}
+
+/**
+ * Every span in the content where one of the keys matches, merged and in order
+ */
+function findKeySpans(content, keys, entry) {
+    const spans = [];
+    for (const key of keys) {
+        let offset = 0;
+        while (offset < content.length) {
+            const span = findKeySpan(content.slice(offset), key, entry);
+            if (!span || span.end === span.start) break;
+            spans.push({ start: offset + span.start, end: offset + span.end });
+            offset += span.end;
+        }
+    }
+
+    spans.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const span of spans) {
+        const last = merged[merged.length - 1];
+        if (last && span.start <= last.end) last.end = Math.max(last.end, span.end);
+        else merged.push({ ...span });
+    }
+    return merged;
+}
+
+/**
+ * Entry content as HTML with the matched keys marked
+ */
+function renderHighlightedContent(entry, matchedKeys) {
+    const full = entry.content || '';
+    if (!full) return '<span class="ck-drawer__muted">No content</span>';
+
+    const content = full.length > CONTENT_PREVIEW_LIMIT ? full.slice(0, CONTENT_PREVIEW_LIMIT) : full;
+    const spans = findKeySpans(content, [...matchedKeys], entry);
+
+    let html = '';
+    let cursor = 0;
+    for (const { start, end } of spans) {
+        html += escapeHtml(content.slice(cursor, start));
+        html += `<mark class="ck-drawer__mark">${escapeHtml(content.slice(start, end))}</mark>`;
+        cursor = end;
+    }
+    html += escapeHtml(content.slice(cursor));
+    if (content.length < full.length) html += `<span class="ck-drawer__muted"> … (${full.length - content.length} more chars)</span>`;
+    return html;
+}
+
+/**
+ * Key chips, matched ones lit
+ */
+function renderKeyChips(keys, matchedKeys) {
+    const clean = (keys || []).map(k => k?.trim()).filter(Boolean);
+    if (!clean.length) return '<span class="ck-drawer__muted">None</span>';
+    return clean.map(key => {
+        const matched = matchedKeys.has(key);
+        return `<span class="ck-drawer__key${matched ? ' ck-drawer__key--matched' : ''}" title="${matched ? 'Matched this turn' : 'Not matched'}">${matched ? '✓ ' : ''}${escapeHtml(key)}</span>`;
+    }).join('');
+}
+
+/**
+ * Secondary key logic line - whether the logic passes against the matched keys
+ */
+function renderSelectiveLogic(entry, matchedKeys) {
+    if (!entry.selective || !entry.keysecondary?.filter(k => k?.trim()).length) {
+        return '<span class="ck-drawer__muted">Not selective - primary keys alone activate it</span>';
+    }
+    const logic = selectiveLogicNames[entry.selectiveLogic ?? 0] || 'AND ANY';
+    const { passes } = checkSecondaryKeys([...matchedKeys].join('\n'), entry);
+    return `${escapeHtml(logic)} <span class="ck-drawer__muted">(${passes ? 'passes' : 'fails'} with the matched keys)</span>`;
+}
+
+function renderField(label, value) {
+    return `<div class="ck-debug__field"><span class="ck-drawer__label">${label}</span> ${value}</div>`;
+}
+
+/**
+ * Placement fields - position, depth and order
+ */
+function renderPlacement(entry) {
+    const positioning = entry.entrySettings?.positioning || entry;
+    const position = positionNames[positioning.position] || `Unknown (${positioning.position})`;
+    const fields = [renderField('Position', escapeHtml(position))];
+    if (positioning.position === POSITION_AT_DEPTH) fields.push(renderField('Depth', positioning.depth ?? 0));
+    fields.push(renderField('Order', positioning.order ?? 0));
+    return fields.join('');
+}
+
+/**
+ * Recursion settings fields
+ */
+function renderRecursionSettings(entry) {
+    const recursion = entry.entrySettings?.recursion || entry;
+    const flag = (value) => value ? 'Yes' : 'No';
+    const delay = recursion.delayUntilRecursion;
+    return [
+        renderField('Exclude recursion', flag(recursion.excludeRecursion)),
+        renderField('Prevent further recursion', flag(recursion.preventRecursion)),
+        renderField('Delay until recursion', delay ? (delay === true ? 'Yes' : `Level ${delay}`) : 'No'),
+    ].join('');
+}
+
+/**
+ * Recursion level and what pulled the entry in
+ */
+function renderProvenance(entry) {
+    if (entry.snapshot) {
+        return renderField('Recursion level', `L${entry.snapshot.level}`);
+    }
+
+    const details = getEnhancedTriggerDetails(entry);
+    const fields = [renderField('Recursion level', `L${details.recursionLevel} <span class="ck-drawer__muted">(loop ${details.loopCount})</span>`)];
+
+    const source = details.recursionSource;
+    if (source) {
+        fields.push(renderField('Triggered by', `${escapeHtml(source.name)} <span class="ck-drawer__muted">('${escapeHtml(source.matchedKey)}' at char ${source.offset}, ${escapeHtml(source.world)})</span>`));
+    } else {
+        const attribution = getTriggerSourceAttribution(entry);
+        const trigger = entry.chatTrigger?.triggeringMessages[0];
+        if (attribution && attribution.source !== 'chat') {
+            fields.push(renderField('Triggered by', escapeHtml(attribution.label)));
+        } else if (trigger) {
+            fields.push(renderField('Triggered by', `Message #${trigger.messageIndex} <span class="ck-drawer__muted">(${escapeHtml(trigger.speaker)})</span>`));
+        }
+    }
+    return fields.join('');
+}
+
+/**
+ * Token cost - snapshot, then itemizer, then a fresh count
+ */
+function getKnownTokens(entry) {
+    if (entry.snapshot) return entry.snapshot.tokens;
+    const section = getLastItemization()?.sections?.find(s => s.isWorldInfo && s.wiUid === entry.uid && s.wiWorld === entry.world);
+    return section?.tokens ?? null;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Build the detail drawer for a panel entry
+ * @param {Object} entry - Activated (or snapshot-hydrated) entry
+ * @returns {HTMLElement}
+ */
+export function renderEntryDrawer(entry) {
+    const matchedKeys = getMatchedKeys(entry);
+    const knownTokens = getKnownTokens(entry);
+
+    const drawer = document.createElement('div');
+    drawer.className = 'ck-debug ck-debug--expanded ck-drawer';
+    drawer.innerHTML = `
+        <div class="ck-debug__content">
+            <div class="ck-debug__section">
+                <div class="ck-debug__heading">Content</div>
+                <div class="ck-drawer__content">${renderHighlightedContent(entry, matchedKeys)}</div>
+            </div>
+            <div class="ck-debug__section">
+                <div class="ck-debug__heading">Keys</div>
+                ${renderField('Primary', renderKeyChips(entry.key, matchedKeys))}
+                ${renderField('Secondary', renderKeyChips(entry.keysecondary, matchedKeys))}
+                ${renderField('Logic', renderSelectiveLogic(entry, matchedKeys))}
+            </div>
+            <div class="ck-debug__section ck-drawer__columns">
+                <div>
+                    <div class="ck-debug__heading">Placement</div>
+                    ${renderPlacement(entry)}
+                    ${renderField('Tokens', `<span class="ck-drawer__tokens">${knownTokens ?? '…'}</span>`)}
+                </div>
+                <div>
+                    <div class="ck-debug__heading">Recursion</div>
+                    ${renderRecursionSettings(entry)}
+                    ${renderProvenance(entry)}
+                </div>
+            </div>
+            <div class="ck-drawer__actions">
+                <button class="ck-drawer__button ck-drawer__open-editor" title="Open this lorebook in the World Info editor, filtered to this entry">📖 Open in World Info editor</button>
+            </div>
+        </div>
+    `;
+
+    if (knownTokens === null && entry.content) {
+        countTokens(entry.content).then(tokens => {
+            drawer.querySelector('.ck-drawer__tokens').textContent = String(tokens);
+        });
+    } else if (knownTokens === null) {
+        drawer.querySelector('.ck-drawer__tokens').textContent = '0';
+    }
+
+    drawer.querySelector('.ck-drawer__open-editor').addEventListener('click', () => {
+        if (!entry.world) {
+            toastr.info('This entry has no lorebook to open', 'TrackHare');
+            return;
+        }
+        openLorebookEntry(entry.world, entry.comment || entry.key?.[0] || '');
+    });
+
+    // Clicks inside the drawer (selecting text, buttons) shouldn't collapse the entry
+    drawer.addEventListener('click', (e) => e.stopPropagation());
+
+    return drawer;
+}
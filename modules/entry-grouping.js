@@ -0,0 +1,186 @@
+// =============================================================================
+// ENTRY GROUPING - How the panel slices the active entries into sections
+// By world, trigger reason, insertion position, recursion level, inclusion
+// group or lorebook source (setting: panelGroupMode)
+// =============================================================================
+
+import { extension_settings, getContext } from '../../../../extensions.js';
+import { chat_metadata, saveSettingsDebounced } from '../../../../../script.js';
+import { power_user } from '../../../../power-user.js';
+import { selected_world_info, world_info, METADATA_KEY } from '../../../../../scripts/world-info.js';
+import { getCharaFilename } from '../../../../utils.js';
+import { getDeepTriggerInfo } from './trigger-tracking.js';
+import { getStrategy } from './main-panel.js';
+import { reasonDisplay, positionNames } from './constants.js';
+
+/** Where a lorebook was attached - in ST's scan order */
+const LOREBOOK_SOURCES = [
+    { key: 'chat', text: '💬 Chat' },
+    { key: 'persona', text: '🎭 Persona' },
+    { key: 'character', text: '👤 Character' },
+    { key: 'global', text: '🌐 Global' },
+];
+
+/**
+ * Grouping modes - label for the header picker, and the group(s) an entry falls into
+ * `order` sorts the group labels; groups keep first-seen order without it.
+ * `icon` prefixes the group headings in Potato Mode, for modes whose labels carry none
+ */
+export const GROUP_MODES = {
+    world: {
+        label: 'World',
+        icon: '📚',
+        groups: entry => [entry.world || 'Unknown'],
+    },
+    reason: {
+        label: 'Trigger reason',
+        groups: (entry) => {
+            const reason = getStrategy(entry);
+            return [reasonDisplay[reason] ? `${reasonDisplay[reason].emoji} ${reasonDisplay[reason].text}` : reason.toUpperCase()];
+        },
+    },
+    position: {
+        label: 'Position',
+        icon: '📍',
+        groups: entry => [positionNames[entry.position] || 'Unknown position'],
+        order: entry => entry.position ?? Number.MAX_SAFE_INTEGER,
+    },
+    level: {
+        label: 'Recursion level',
+        icon: '🔄',
+        groups: entry => [`Level ${getEntryLevel(entry)}`],
+        order: entry => getEntryLevel(entry),
+    },
+    group: {
+        label: 'Inclusion group',
+        icon: '👥',
+        // ST allows several comma-separated groups - the entry shows under each,
+        // and focusing it in the panel flashes every copy
+        groups: (entry) => {
+            const groups = String(entry.group || '').split(',').map(g => g.trim()).filter(Boolean);
+            return groups.length ? groups : ['No inclusion group'];
+        },
+    },
+    source: {
+        label: 'Lorebook source',
+        groups: (entry, sources) => [LOREBOOK_SOURCES.find(s => s.key === sources.get(entry.world))?.text || '❔ Unknown source'],
+        order: (entry, sources) => {
+            const index = LOREBOOK_SOURCES.findIndex(s => s.key === sources.get(entry.world));
+            return index === -1 ? LOREBOOK_SOURCES.length : index;
+        },
+    },
+    none: {
+        label: 'None',
+        groups: () => ['All Entries'],
+    },
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Characters in the current chat - every member in a group chat
+ */
+function getChatCharacters() {
+    const context = getContext();
+    if (context.groupId) {
+        const members = context.groups?.find(g => g.id === context.groupId)?.members || [];
+        return context.characters.filter(c => members.includes(c.avatar));
+    }
+    const character = context.characters?.[context.characterId];
+    return character ? [character] : [];
+}
+
+/**
+ * Map of lorebook name -> source key for the current chat
+ * A book attached in several places counts where ST reads it first
+ */
+function getLorebookSources() {
+    const sources = new Map();
+    const add = (name, key) => {
+        if (name && !sources.has(name)) sources.set(name, key);
+    };
+
+    add(chat_metadata?.[METADATA_KEY], 'chat');
+    add(power_user?.persona_description_lorebook, 'persona');
+    for (const character of getChatCharacters()) {
+        add(character.data?.extensions?.world, 'character');
+        const fileName = getCharaFilename(null, { manualAvatarKey: character.avatar });
+        world_info?.charLore?.find(lore => lore.name === fileName)?.extraBooks?.forEach(book => add(book, 'character'));
+    }
+    (selected_world_info || []).forEach(book => add(book, 'global'));
+    return sources;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Recursion level an entry activated at - from its snapshot, its last activation when
+ * it dropped out in diff mode, or the live scan
+ * @param {Object} entry
+ * @returns {number}
+ */
+export function getEntryLevel(entry) {
+    if (entry.snapshot) return entry.snapshot.level ?? 0;
+    if (entry.diffDropped) return entry.lastRecursionLevel ?? 0;
+    return getDeepTriggerInfo(entry)?.recursionLevel ?? 0;
+}
+
+/**
+ * Current grouping mode - falls back to the old "Group by World" toggle
+ * @returns {string} A GROUP_MODES key
+ */
+export function getGroupMode() {
+    const mode = extension_settings.TrackHare?.panelGroupMode;
+    if (GROUP_MODES[mode]) return mode;
+    return (extension_settings.TrackHare?.worldBookGroup ?? true) ? 'world' : 'none';
+}
+
+/**
+ * Split entries into the current mode's groups
+ * @param {Array<Object>} entryList
+ * @returns {Object} Group label -> entries, in display order
+ */
+export function groupEntries(entryList) {
+    const mode = GROUP_MODES[getGroupMode()];
+    const sources = mode === GROUP_MODES.source ? getLorebookSources() : null;
+
+    const groups = new Map();
+    for (const entry of entryList) {
+        for (const label of mode.groups(entry, sources)) {
+            if (!groups.has(label)) groups.set(label, { order: mode.order?.(entry, sources) ?? 0, entries: [] });
+            groups.get(label).entries.push(entry);
+        }
+    }
+
+    // Stable sort keeps first-seen order for modes without an order
+    return Object.fromEntries([...groups]
+        .sort(([, a], [, b]) => a.order - b.order)
+        .map(([label, group]) => [label, group.entries]));
+}
+
+/**
+ * Grouping picker for the panel header
+ * @param {Function} onChange - Called after the mode is saved
+ * @returns {HTMLSelectElement}
+ */
+export function renderGroupModeSelect(onChange) {
+    const select = document.createElement('select');
+    select.className = 'ck-select ck-group-select text_pole';
+    select.title = 'Group entries by';
+    select.innerHTML = Object.entries(GROUP_MODES)
+        .map(([key, mode]) => `<option value="${key}">${mode.label}</option>`)
+        .join('');
+    select.value = getGroupMode();
+
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => {
+        extension_settings.TrackHare.panelGroupMode = select.value;
+        saveSettingsDebounced();
+        onChange(select.value);
+    });
+    return select;
+}
@@ -0,0 +1,278 @@
+// =============================================================================
+// GENERATION CONTEXT - Which generation is running, and what kind it is
+// Every generation gets an id at GENERATION_STARTED. Trackers capture the id
+// when their data starts and attach the result to that generation, so late
+// data from a finished generation is dropped instead of mixed into the next
+// =============================================================================
+
+import { event_types, eventSource } from '../../../../../script.js';
+import { extension_settings } from '../../../../extensions.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Generation types ST passes to GENERATION_STARTED */
+export const GENERATION_TYPES = {
+    normal: { emoji: '💬', text: 'Normal' },
+    swipe: { emoji: '↔️', text: 'Swipe' },
+    regenerate: { emoji: '🔁', text: 'Regenerate' },
+    continue: { emoji: '➡️', text: 'Continue' },
+    impersonate: { emoji: '🎭', text: 'Impersonate' },
+    quiet: { emoji: '🤫', text: 'Quiet' },
+};
+
+/** Types that update the panel unless the user says otherwise - background work stays out */
+const DEFAULT_PANEL_TYPES = {
+    normal: true,
+    swipe: true,
+    regenerate: true,
+    continue: true,
+    impersonate: false,
+    quiet: false,
+};
+
+/** Generations by id, oldest first - { id, type, dryRun, quietToLoud, startedAt, endedAt, status, data }
+ * status: running | ended | stopped | abandoned */
+const generations = new Map();
+
+/** How many finished generations to remember */
+const GENERATION_LIMIT = 20;
+
+/** Ids of generations still running - a quiet prompt can start inside a main generation */
+const runningIds = [];
+
+/** Newest generation id - anything older is superseded */
+let latestGenerationId = null;
+
+/** Generation the latest end event closed */
+let finishedGenerationId = null;
+
+/** How long after GENERATION_ENDED a generation still accepts data (VectHare captures after a delay) */
+const SETTLE_MS = 1000;
+
+/** Last activation per generation type - type -> { generation, entries, timestamp } */
+const lastTraceByType = new Map();
+
+let nextGenerationId = 1;
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+/**
+ * Register a new generation
+ */
+function startGeneration(type, options, dryRun) {
+    closeStaleGenerations(type, !!dryRun);
+
+    const generation = {
+        id: nextGenerationId++,
+        type: GENERATION_TYPES[type] ? type : 'normal',
+        dryRun: !!dryRun,
+        quietToLoud: !!options?.quietToLoud,
+        startedAt: Date.now(),
+        endedAt: null,
+        status: 'running',
+        data: {},
+    };
+    generations.set(generation.id, generation);
+    runningIds.push(generation.id);
+    latestGenerationId = generation.id;
+
+    // Forget the oldest finished generations
+    for (const [id, old] of generations) {
+        if (generations.size <= GENERATION_LIMIT) break;
+        if (old.status !== 'running') generations.delete(id);
+    }
+}
+
+/**
+ * Mark a generation finished and take it off the running stack
+ */
+function closeGeneration(id, status) {
+    const index = runningIds.indexOf(id);
+    if (index !== -1) runningIds.splice(index, 1);
+
+    const generation = generations.get(id);
+    if (!generation || generation.status !== 'running') return;
+    generation.status = status;
+    generation.endedAt = Date.now();
+}
+
+/**
+ * Close generations whose end event never came before a new one starts
+ * Dry runs get no end event at all, and only a quiet prompt can run inside
+ * another generation - anything else starting means the old one is gone
+ */
+function closeStaleGenerations(type, dryRun) {
+    for (const id of [...runningIds]) {
+        const running = generations.get(id);
+        if (running?.dryRun || (!dryRun && type !== 'quiet')) closeGeneration(id, 'abandoned');
+    }
+}
+
+/**
+ * Finish the innermost running generation
+ * ST's end events carry no id - nested generations end before the one they started in.
+ * Dry runs on top of it never end on their own, so they close with it
+ */
+function finishGeneration(status) {
+    for (let i = runningIds.length - 1; i >= 0; i--) {
+        const id = runningIds[i];
+        if (generations.get(id)?.dryRun) {
+            closeGeneration(id, 'abandoned');
+            continue;
+        }
+        closeGeneration(id, status);
+        finishedGenerationId = id;
+        return;
+    }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get the innermost running generation, or the latest one if none is running
+ * @returns {Object|null} { id, type, dryRun, quietToLoud, startedAt, endedAt, status, data }
+ */
+export function getCurrentGeneration() {
+    const id = runningIds.length ? runningIds[runningIds.length - 1] : latestGenerationId;
+    return generations.get(id) || null;
+}
+
+/**
+ * Id of the current generation - capture it when an async capture starts
+ * @returns {number|null}
+ */
+export function getCurrentGenerationId() {
+    return getCurrentGeneration()?.id ?? null;
+}
+
+/**
+ * Id of the generation the latest GENERATION_ENDED/STOPPED closed
+ * Generation context closes it first, so later end listeners can't ask for the current one -
+ * with a quiet prompt nested in a main generation, that is already the parent
+ * @returns {number|null}
+ */
+export function getFinishedGenerationId() {
+    return finishedGenerationId;
+}
+
+/**
+ * Get a generation by id
+ * @param {number} id
+ * @returns {Object|null}
+ */
+export function getGeneration(id) {
+    return generations.get(id) || null;
+}
+
+/**
+ * Whether a generation still accepts data
+ * Running generations do; a finished one only briefly, and only until another starts.
+ * A null id (nothing tracked yet) has nothing to conflict with
+ * @param {number|null} id
+ * @returns {boolean}
+ */
+export function isGenerationOpen(id) {
+    if (id === null || id === undefined) return true;
+    const generation = generations.get(id);
+    if (!generation) return false;
+    if (generation.status === 'running') return true;
+    return id === latestGenerationId && Date.now() - generation.endedAt <= SETTLE_MS;
+}
+
+/**
+ * Attach captured data to the generation it belongs to
+ * Returns false (and drops the data) if that generation is finished or superseded
+ * @param {number|null} id - Generation id captured when the data started
+ * @param {string} field - e.g. 'activation', 'scan', 'itemization', 'vectHare'
+ * @param {*} data
+ * @returns {boolean} Whether the data was accepted
+ */
+export function attachToGeneration(id, field, data) {
+    if (!isGenerationOpen(id)) {
+        console.debug(`[TrackHare] Dropping late '${field}' data from finished generation #${id}`);
+        return false;
+    }
+    const generation = generations.get(id);
+    if (generation) generation.data[field] = data;
+    return true;
+}
+
+/**
+ * Compact tag to store on traces
+ * @param {number|null} [id] - Defaults to the current generation
+ * @returns {{ generationId: number|null, generationType: string, dryRun: boolean }}
+ */
+export function getGenerationTag(id = getCurrentGenerationId()) {
+    const generation = generations.get(id);
+    return {
+        generationId: generation?.id ?? null,
+        generationType: generation?.type ?? 'normal',
+        dryRun: generation?.dryRun ?? false,
+    };
+}
+
+/**
+ * Whether a generation type updates the main panel (setting: panelGenerationTypes)
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isPanelGenerationType(type) {
+    return extension_settings.TrackHare?.panelGenerationTypes?.[type] ?? DEFAULT_PANEL_TYPES[type] ?? true;
+}
+
+/**
+ * Whether a generation's activations should replace what the panel shows
+ * Dry runs (token counting, prompt previews) never do
+ * @param {number|null} [id] - Defaults to the current generation
+ * @returns {boolean}
+ */
+export function shouldUpdatePanel(id = getCurrentGenerationId()) {
+    const generation = generations.get(id);
+    if (!generation) return true;
+    if (generation.dryRun) return false;
+    return isPanelGenerationType(generation.type);
+}
+
+/**
+ * Keep an activation in its generation type's slot
+ * @param {Array<Object>} entries
+ */
+export function recordTypedTrace(entries) {
+    const generation = getCurrentGeneration() || { id: null, type: 'normal', dryRun: false };
+    if (generation.dryRun) return;
+    lastTraceByType.set(generation.type, { generation, entries: [...entries], timestamp: Date.now() });
+}
+
+/**
+ * Get the last activation for a generation type
+ * @param {string} type - normal | swipe | regenerate | continue | impersonate | quiet
+ * @returns {Object|null} { generation, entries, timestamp }
+ */
+export function getLastTraceByType(type) {
+    return lastTraceByType.get(type) || null;
+}
+
+/**
+ * Get the last activation of every generation type seen this chat
+ * @returns {Object} type -> { generation, entries, timestamp }
+ */
+export function getLastTraces() {
+    return Object.fromEntries(lastTraceByType);
+}
+
+/**
+ * Initialize generation tracking - before anything else listens to generation events
+ */
+export function initGenerationContext() {
+    eventSource.on(event_types.GENERATION_STARTED, startGeneration);
+    eventSource.on(event_types.GENERATION_ENDED, () => finishGeneration('ended'));
+    eventSource.on(event_types.GENERATION_STOPPED, () => finishGeneration('stopped'));
+    eventSource.on(event_types.CHAT_CHANGED, () => lastTraceByType.clear());
+    console.log('[TrackHare] Generation context initialized');
+}
@@ -0,0 +1,234 @@
+// =============================================================================
+// GENERATION TRACE - One joined view of everything captured for a generation
+// Activations, the scan (loops, reasons, recursion, outcomes), itemization,
+// VectHare data and the message it produced, kept for recent generations
+// =============================================================================
+
+import { chat, event_types, eventSource } from '../../../../../script.js';
+import { getContext } from '../../../../extensions.js';
+import { getEntryKey } from './trigger-tracking.js';
+import {
+    getCurrentGeneration,
+    getCurrentGenerationId,
+    attachToGeneration,
+    isPanelGenerationType,
+} from './generation-context.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Generations kept for traces, oldest first - id -> generation (its data fills in as trackers attach) */
+const tracedGenerations = new Map();
+
+/** How many traces to keep - generation context forgets sooner */
+const TRACE_LIMIT = 50;
+
+// =============================================================================
+// TRACE MODEL
+// =============================================================================
+
+/**
+ * Join an activated entry with what the scan learned about it
+ */
+function buildTraceEntry(entry, scan, itemization) {
+    const key = getEntryKey(entry.world, entry.uid);
+    const deepInfo = scan?.entries?.[key];
+    const chain = scan?.recursion?.[key];
+    const section = itemization?.sections?.find(s => s.isWorldInfo && s.wiUid === entry.uid && s.wiWorld === entry.world);
+    return {
+        key,
+        world: entry.world,
+        uid: entry.uid,
+        name: entry.comment || entry.key?.[0] || `Entry #${entry.uid}`,
+        type: entry.type || 'wi',
+        reason: entry.triggerReason || deepInfo?.reason || 'unknown',
+        matchedKeyword: deepInfo?.matchedKeyword || null,
+        confidence: deepInfo?.confidence ?? null,
+        loop: deepInfo?.loopCount ?? null,
+        recursionLevel: deepInfo?.recursionLevel ?? 0,
+        triggeredBy: chain?.triggeredBy || [],
+        provenance: chain?.provenance || null,
+        outcome: scan?.outcomes?.[key] || null,
+        tokens: section?.tokens ?? null,
+        entry,
+    };
+}
+
+/**
+ * Whether a stored generation is one the panel shows
+ */
+function updatesPanel(generation) {
+    return !generation.dryRun && isPanelGenerationType(generation.type);
+}
+
+/**
+ * Stored generations matching the trace filters, newest first
+ * Filters read the raw generation, so traces are only built for what gets returned
+ * @param {Object} options - { limit, type, panelOnly, currentChat, where(generation) }
+ * @returns {Array<Object>} Generations
+ */
+function findGenerations({ limit = Infinity, type = null, panelOnly = false, currentChat = false, where = null } = {}) {
+    const chatId = currentChat ? getContext()?.chatId ?? null : null;
+    const found = [];
+    for (const generation of [...tracedGenerations.values()].reverse()) {
+        if (found.length >= limit) break;
+        if (type && generation.type !== type) continue;
+        if (panelOnly && !updatesPanel(generation)) continue;
+        if (currentChat && (generation.data.chatId ?? null) !== chatId) continue;
+        if (where && !where(generation)) continue;
+        found.push(generation);
+    }
+    return found;
+}
+
+/**
+ * Build the GenerationTrace for a generation
+ * @returns {Object} {
+ *   id, type, dryRun, status, startedAt, endedAt, updatedPanel,
+ *   chatId, messageId, swipeId,
+ *   entries: [{ key, world, uid, name, type, reason, matchedKeyword, confidence, loop, recursionLevel, triggeredBy, provenance, outcome, tokens, entry }],
+ *   loops, outcomes, budgetOverflow, itemization, vectHare
+ * }
+ */
+function buildTrace(generation) {
+    const { activation, scan, itemization, vectHare, message, chatId } = generation.data;
+    return {
+        id: generation.id,
+        type: generation.type,
+        dryRun: generation.dryRun,
+        status: generation.status,
+        startedAt: generation.startedAt,
+        endedAt: generation.endedAt,
+        updatedPanel: updatesPanel(generation),
+        chatId: chatId ?? null,
+        messageId: message?.messageId ?? null,
+        swipeId: message?.swipeId ?? null,
+        entries: (activation || []).map(entry => buildTraceEntry(entry, scan, itemization)),
+        loops: scan?.loops || {},
+        outcomes: scan?.outcomes || {},
+        budgetOverflow: scan?.budgetOverflow || null,
+        itemization: itemization || null,
+        vectHare: vectHare || null,
+    };
+}
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+
+function setupTraceTracking() {
+    // Generation context has already registered the generation - dry runs only count tokens
+    eventSource.on(event_types.GENERATION_STARTED, () => {
+        const generation = getCurrentGeneration();
+        if (!generation || generation.dryRun) return;
+
+        generation.data.chatId = getContext()?.chatId ?? null;
+        tracedGenerations.set(generation.id, generation);
+        while (tracedGenerations.size > TRACE_LIMIT) {
+            tracedGenerations.delete(tracedGenerations.keys().next().value);
+        }
+    });
+
+    // Link the generation to the message it produced
+    eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
+        const message = chat[messageId];
+        if (!message || message.is_user) return;
+        attachToGeneration(getCurrentGenerationId(), 'message', { messageId, swipeId: message.swipe_id ?? 0 });
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get the trace of one generation
+ * @param {number} id - Generation id
+ * @returns {Object|null} GenerationTrace
+ */
+export function getTrace(id) {
+    const generation = tracedGenerations.get(id);
+    return generation ? buildTrace(generation) : null;
+}
+
+/**
+ * Get the most recent trace
+ * @param {Object} [options]
+ * @param {boolean} [options.panelOnly] - Only generations that update the panel
+ * @returns {Object|null} GenerationTrace
+ */
+export function getLatestTrace({ panelOnly = false } = {}) {
+    return getTraces({ panelOnly, limit: 1 })[0] || null;
+}
+
+/**
+ * Get recent traces, newest first
+ * @param {Object} [options]
+ * @param {number} [options.limit] - At most this many
+ * @param {string} [options.type] - Only this generation type
+ * @param {boolean} [options.panelOnly] - Only generations that update the panel
+ * @param {boolean} [options.currentChat] - Only traces from the open chat
+ * @returns {Array<Object>} GenerationTraces
+ */
+export function getTraces({ limit = Infinity, type = null, panelOnly = false, currentChat = false } = {}) {
+    return findGenerations({ limit, type, panelOnly, currentChat }).map(buildTrace);
+}
+
+/**
+ * Get the trace of the generation that produced a message in the open chat
+ * @param {number} messageId
+ * @param {number} [swipeId] - Defaults to the newest trace for any swipe
+ * @returns {Object|null} GenerationTrace
+ */
+export function getTraceForMessage(messageId, swipeId = null) {
+    const [generation] = findGenerations({
+        limit: 1,
+        currentChat: true,
+        where: ({ data }) => data.message?.messageId === messageId && (swipeId === null || data.message.swipeId === swipeId),
+    });
+    return generation ? buildTrace(generation) : null;
+}
+
+/**
+ * Get the trace the panel showed before the current one in the open chat
+ * The current one is the newest panel trace with activations; the one before it
+ * counts even if nothing fired, so "new this turn" stays honest after a quiet turn
+ * @returns {Object|null} GenerationTrace
+ */
+export function getPreviousPanelTrace() {
+    const generations = findGenerations({ panelOnly: true, currentChat: true });
+    const currentIndex = generations.findIndex(generation => generation.data.activation?.length);
+    const previous = currentIndex === -1 ? null : generations[currentIndex + 1];
+    return previous ? buildTrace(previous) : null;
+}
+
+/**
+ * Get the traces in which an entry activated, newest first
+ * @param {string} world
+ * @param {number} uid
+ * @returns {Array<Object>} GenerationTraces
+ */
+export function getTracesForEntry(world, uid) {
+    const key = getEntryKey(world, uid);
+    return findGenerations({ where: ({ data }) => (data.activation || []).some(entry => getEntryKey(entry.world, entry.uid) === key) })
+        .map(buildTrace);
+}
+
+/**
+ * Get the traces of generations started within a time range, newest first
+ * @param {number} from - Timestamp (ms)
+ * @param {number} [to] - Timestamp (ms), defaults to now
+ * @returns {Array<Object>} GenerationTraces
+ */
+export function getTracesBetween(from, to = Date.now()) {
+    return findGenerations({ where: generation => generation.startedAt >= from && generation.startedAt <= to }).map(buildTrace);
+}
+
+/**
+ * Initialize the trace store - after generation context, so new generations are registered
+ */
+export function initGenerationTraces() {
+    setupTraceTracking();
+    console.log('[TrackHare] Generation traces initialized');
+}
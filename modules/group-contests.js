@@ -0,0 +1,299 @@
+// =============================================================================
+// GROUP CONTESTS - Inclusion group winners and losers
+// Rebuilds each inclusion group contest from the scan: candidates, weights,
+// priority, scoring, and who won and why
+// =============================================================================
+
+import { event_types, eventSource } from '../../../../../script.js';
+import { extension_settings } from '../../../../extensions.js';
+import { world_info_use_group_scoring } from '../../../../../scripts/world-info.js';
+import { getScannedEntries, getScanOutcome, wasEntryActivated, getGroupLogEvents, getEntryKey, resolveEntryIdentity, isPanelScanEvent } from './trigger-tracking.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Contests from the last completed scan */
+let lastContests = [];
+
+/** Whether the group section is expanded in the panel (survives re-renders) */
+let sectionExpanded = false;
+
+/** ST's default group weight */
+const DEFAULT_GROUP_WEIGHT = 100;
+
+/** How each contest was decided */
+const METHOD_LABELS = {
+    priority: 'prioritized, highest order wins',
+    roll: 'weighted random roll',
+    score: 'group scoring',
+    sticky: 'sticky entry kept the group',
+    already_activated: 'group already active from an earlier loop',
+    sole_candidate: 'only candidate',
+    unknown: 'undetermined',
+};
+
+// =============================================================================
+// CONTEST BUILDING
+// =============================================================================
+
+/**
+ * Split an entry's group field - ST allows comma-separated group names
+ */
+function splitGroups(group) {
+    return (group || '').split(/,\s*/).map(g => g.trim()).filter(Boolean);
+}
+
+/**
+ * Build a candidate record for one entry in one group
+ */
+function buildCandidate(entry, record) {
+    const key = getEntryKey(entry.world, entry.uid);
+    const logged = record?.results.get(key);
+    const activated = wasEntryActivated(entry);
+    const result = logged?.result ?? (activated ? 'won' : 'lost');
+
+    return {
+        key,
+        uid: entry.uid,
+        world: entry.world,
+        name: entry.comment || entry.key?.[0] || `Entry #${entry.uid}`,
+        groupWeight: entry.groupWeight ?? DEFAULT_GROUP_WEIGHT,
+        order: entry.order ?? 100,
+        prioritized: !!entry.groupOverride,
+        useGroupScoring: entry.useGroupScoring ?? world_info_use_group_scoring ?? false,
+        result,
+        lostBy: result === 'lost' ? (logged?.method ?? null) : null,
+        // Won the group but dropped afterwards (probability roll or budget)
+        droppedLater: result === 'won' && !activated,
+        loop: getScanOutcome(entry)?.matchedLoop ?? null,
+        rollChance: null,
+    };
+}
+
+/**
+ * Work out how a contest was decided
+ */
+function resolveMethod(contest, record) {
+    if (record?.notes.has('already_activated')) return 'already_activated';
+    if (record?.notes.has('sticky')) return 'sticky';
+
+    const winnerMethod = [...(record?.results.values() || [])].find(r => r.result === 'won')?.method;
+    if (winnerMethod) return winnerMethod;
+    if (contest.candidates.length === 1) return 'sole_candidate';
+    if (contest.candidates.some(c => c.lostBy === 'score')) return 'score';
+    return 'unknown';
+}
+
+/**
+ * Explain why the winner won
+ */
+function describeWin(contest, winner) {
+    switch (contest.method) {
+        case 'priority':
+            return `Prioritized entry with the highest order (#${winner.order})`;
+        case 'roll':
+            return `Won the weighted roll with weight ${winner.groupWeight}${winner.rollChance !== null ? ` (${Math.round(winner.rollChance * 100)}% chance)` : ''}`;
+        case 'score':
+            return 'Highest key match score';
+        case 'sticky':
+            return 'Sticky entry - keeps the group until it expires';
+        case 'already_activated':
+            return 'Was already active from an earlier loop';
+        case 'sole_candidate':
+            return 'Only entry in the group that matched';
+        default:
+            return 'Won for an undetermined reason';
+    }
+}
+
+/**
+ * Rebuild every inclusion group contest once the scan has finished
+ */
+function buildContests() {
+    const groupLogEvents = getGroupLogEvents();
+    const contests = new Map();
+
+    for (const entry of getScannedEntries().values()) {
+        const groups = splitGroups(entry.group);
+        if (!groups.length) continue;
+
+        // Only entries that matched take part in a contest
+        if (!getScanOutcome(entry)?.matched && !wasEntryActivated(entry)) continue;
+
+        for (const group of groups) {
+            if (!contests.has(group)) contests.set(group, { group, candidates: [] });
+            contests.get(group).candidates.push(buildCandidate(entry, groupLogEvents.get(group)));
+        }
+    }
+
+    lastContests = [...contests.values()].map(contest => {
+        const record = groupLogEvents.get(contest.group);
+        contest.method = resolveMethod(contest, record);
+        contest.methodLabel = METHOD_LABELS[contest.method];
+        contest.scoringUsed = record?.notes.has('scoring') || contest.candidates.some(c => c.lostBy === 'score' || c.useGroupScoring);
+
+        // Roll odds only apply to entries that survived scoring
+        if (contest.method === 'roll') {
+            const rollers = contest.candidates.filter(c => c.lostBy !== 'score');
+            const totalWeight = rollers.reduce((sum, c) => sum + c.groupWeight, 0);
+            rollers.forEach(c => { c.rollChance = totalWeight > 0 ? c.groupWeight / totalWeight : null; });
+        }
+
+        const winner = contest.candidates.find(c => c.result === 'won') || null;
+        contest.winnerUid = winner?.uid ?? null;
+        contest.winnerKey = winner?.key ?? null;
+        contest.winnerReason = winner ? describeWin(contest, winner) : 'No entry won';
+        contest.candidates.sort((a, b) => (a.result === 'won' ? -1 : 0) - (b.result === 'won' ? -1 : 0) || b.order - a.order);
+        return contest;
+    });
+
+    console.debug(`[TrackHare] Built ${lastContests.length} inclusion group contests`);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get all inclusion group contests from the last scan
+ * @param {boolean} [contestedOnly=false] - Only groups with more than one candidate or a loser
+ * @returns {Array<Object>}
+ */
+export function getGroupContests(contestedOnly = false) {
+    if (!contestedOnly) return lastContests;
+    return lastContests.filter(c => c.candidates.length > 1 || c.candidates.some(cand => cand.result === 'lost'));
+}
+
+/**
+ * Get a single contest by group name
+ * @param {string} group
+ * @returns {Object|null}
+ */
+export function getGroupContest(group) {
+    return lastContests.find(c => c.group === group) || null;
+}
+
+/**
+ * Get the contest an entry took part in - prefers the one it lost
+ * @param {Object|string|number} worldOrEntry - Entry, world name, world§§§uid key, or legacy bare uid
+ * @param {number} [uid]
+ * @returns {Object|null}
+ */
+export function getGroupContestForEntry(worldOrEntry, uid) {
+    const identity = resolveEntryIdentity(worldOrEntry, uid);
+    const isEntry = (cand) => cand.uid === identity.uid && (identity.world === undefined || cand.world === identity.world);
+    const contests = lastContests.filter(c => c.candidates.some(isEntry));
+    return contests.find(c => c.candidates.find(isEntry).result === 'lost') || contests[0] || null;
+}
+
+/**
+ * Initialize group contest tracking
+ * Must run after trigger tracking so scanned entries are collected first
+ */
+export function initGroupContestTracking() {
+    // Quiet prompts and dry runs leave the panel's contests alone
+    eventSource.on(event_types.WORLDINFO_SCAN_DONE, (args) => {
+        if (args.state?.next === 0 && isPanelScanEvent(args)) {
+            buildContests();
+        }
+    });
+    console.log('[TrackHare] Group contest tracking initialized');
+}
+
+// =============================================================================
+// UI RENDERING
+// =============================================================================
+
+/**
+ * Render the inclusion group section into content container
+ * @param {HTMLElement} content - Container to append to
+ */
+export function renderGroupContestSection(content) {
+    if (!(extension_settings.TrackHare?.showGroupContests ?? true)) return;
+
+    const contests = getGroupContests(true);
+    if (!contests.length) return;
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'ck-world-header ck-group-header';
+    header.innerHTML = `
+        <div><span style="font-size: 14px;">👥</span></div>
+        <span>Inclusion Groups</span>
+        <span class="ck-group-toggle">${sectionExpanded ? '▼' : '▶'}</span>
+        <span class="ck-header__badge ck-group-badge" style="margin-left: auto;">${contests.length}</span>
+    `;
+    content.appendChild(header);
+
+    const container = document.createElement('div');
+    container.className = 'ck-entries-container ck-group-container';
+    content.appendChild(container);
+
+    const renderBody = () => {
+        container.innerHTML = '';
+        header.querySelector('.ck-group-toggle').textContent = sectionExpanded ? '▼' : '▶';
+        if (!sectionExpanded) return;
+        contests.forEach(contest => container.appendChild(renderContest(contest)));
+    };
+
+    header.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sectionExpanded = !sectionExpanded;
+        renderBody();
+    });
+
+    renderBody();
+}
+
+/**
+ * Render a single group contest
+ * @param {Object} contest
+ * @returns {HTMLElement}
+ */
+function renderContest(contest) {
+    const el = document.createElement('div');
+    el.className = 'ck-group-contest';
+
+    const title = document.createElement('div');
+    title.className = 'ck-group-contest__title';
+    title.innerHTML = `<strong></strong><span class="ck-group-contest__method"></span>`;
+    title.querySelector('strong').textContent = contest.group;
+    title.querySelector('.ck-group-contest__method').textContent = `${contest.methodLabel}${contest.scoringUsed ? ' • scoring on' : ''}`;
+    el.appendChild(title);
+
+    const why = document.createElement('div');
+    why.className = 'ck-group-contest__why';
+    why.textContent = contest.winnerReason;
+    el.appendChild(why);
+
+    contest.candidates.forEach(candidate => {
+        const row = document.createElement('div');
+        row.className = `ck-group-candidate ck-group-candidate--${candidate.result}`;
+
+        const name = document.createElement('span');
+        name.className = 'ck-group-candidate__name';
+        name.textContent = `${candidate.result === 'won' ? '🏆' : '✗'} ${candidate.name}`;
+        name.title = candidate.world || '';
+        row.appendChild(name);
+
+        const tags = [
+            `<span class="ck-summary__tag" title="Group weight">⚖️ ${candidate.groupWeight}</span>`,
+            `<span class="ck-summary__tag" title="Insertion order">#${candidate.order}</span>`,
+        ];
+        if (candidate.prioritized) tags.push('<span class="ck-summary__tag" title="Prioritize inclusion (group override)">⭐ PRIO</span>');
+        if (candidate.useGroupScoring) tags.push('<span class="ck-summary__tag" title="Uses group scoring">📊 SCORE</span>');
+        if (candidate.rollChance !== null) tags.push(`<span class="ck-summary__tag" title="Chance in the weighted roll">🎲 ${Math.round(candidate.rollChance * 100)}%</span>`);
+        if (candidate.lostBy === 'score') tags.push('<span class="ck-summary__tag" title="Removed by group scoring">📉 OUTSCORED</span>');
+        if (candidate.droppedLater) tags.push('<span class="ck-summary__tag" title="Won the group but was dropped by probability or budget">⚠️ DROPPED</span>');
+
+        const tagsEl = document.createElement('span');
+        tagsEl.className = 'ck-group-candidate__tags';
+        tagsEl.innerHTML = tags.join('');
+        row.appendChild(tagsEl);
+
+        el.appendChild(row);
+    });
+
+    return el;
+}
@@ -0,0 +1,17 @@
+// =============================================================================
+// HTML - Escaping for values built into markup strings
+// =============================================================================
+
+/**
+ * Escape a value for HTML text and double-quoted attributes
+ * @param {*} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,149 @@
+// =============================================================================
+// KEY MATCHING - adapted from ST's WorldInfoBuffer.matchKeys
+// Shared by the recursion visualizer, recursion provenance and trigger source analysis
+// =============================================================================
+
+import { world_info_case_sensitive, world_info_match_whole_words } from '../../../../../scripts/world-info.js';
+import { selectiveLogicNames } from './constants.js';
+
+function parseRegexFromString(input) {
+    const match = input.match(/^\/([\w\W]+?)\/([gimsuy]*)$/);
+    if (!match) return null;
+    let [, pattern, flags] = match;
+    if (pattern.match(/(^|[^\\])\//)) return null;
+    pattern = pattern.replace('\\/', '/');
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        return null;
+    }
+}
+
+function escapeRegex(string) {
+    return string.replace(/[/\-\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+function transformString(str, entry) {
+    const caseSensitive = entry.caseSensitive ?? world_info_case_sensitive;
+    return caseSensitive ? str : str.toLowerCase();
+}
+
+/**
+ * Find the span where a single key matches in content, respecting entry settings
+ * @returns {{ start: number, end: number }|null} Character span of the match
+ */
+export function findKeySpan(haystack, needle, entry) {
+    if (!needle || !haystack) return null;
+
+    const keyRegex = parseRegexFromString(needle);
+    if (keyRegex) {
+        keyRegex.lastIndex = 0;
+        const match = keyRegex.exec(haystack);
+        return match ? { start: match.index, end: match.index + match[0].length } : null;
+    }
+
+    const transformedHaystack = transformString(haystack, entry);
+    const transformedNeedle = transformString(needle, entry);
+    const matchWholeWords = entry.matchWholeWords ?? world_info_match_whole_words;
+
+    const span = (start) => start === -1 ? null : { start, end: start + transformedNeedle.length };
+
+    if (matchWholeWords) {
+        const keyWords = transformedNeedle.split(/\s+/);
+        if (keyWords.length > 1) {
+            return span(transformedHaystack.indexOf(transformedNeedle));
+        } else {
+            // 'd' flag gives the offset of the key itself rather than the leading boundary
+            const regex = new RegExp(`(?:^|\\W)(${escapeRegex(transformedNeedle)})(?:$|\\W)`, 'd');
+            return span(regex.exec(transformedHaystack)?.indices[1][0] ?? -1);
+        }
+    } else {
+        return span(transformedHaystack.indexOf(transformedNeedle));
+    }
+}
+
+/**
+ * Find where a single key matches in content, respecting entry settings
+ * @returns {number} Character offset of the match, or -1
+ */
+export function findKey(haystack, needle, entry) {
+    return findKeySpan(haystack, needle, entry)?.start ?? -1;
+}
+
+/**
+ * Match a single key against content, respecting entry settings
+ */
+export function matchKey(haystack, needle, entry) {
+    return findKey(haystack, needle, entry) !== -1;
+}
+
+/**
+ * Check if ANY primary key matches
+ */
+function matchPrimaryKeys(haystack, entry) {
+    const keys = entry.key || [];
+    for (const key of keys) {
+        const offset = key?.trim() ? findKey(haystack, key.trim(), entry) : -1;
+        if (offset !== -1) {
+            return { matches: true, matchedKey: key.trim(), offset };
+        }
+    }
+    return { matches: false, matchedKey: null, offset: null };
+}
+
+/**
+ * Check secondary keys with selective logic
+ * ST uses: 0=AND ANY, 1=NOT ALL, 2=NOT ANY, 3=AND ALL
+ */
+export function checkSecondaryKeys(haystack, entry) {
+    const secondaryKeys = entry.keysecondary || [];
+    if (!secondaryKeys.length || !entry.selective) {
+        return { passes: true, logic: null, matchedKeys: [] };
+    }
+
+    const logic = entry.selectiveLogic ?? 0;
+    const matchResults = secondaryKeys.map(key => ({
+        key: key?.trim(),
+        matched: key?.trim() ? matchKey(haystack, key.trim(), entry) : false,
+    }));
+
+    const matchedKeys = matchResults.filter(r => r.matched).map(r => r.key);
+    const anyMatched = matchResults.some(r => r.matched);
+    const allMatched = matchResults.every(r => r.matched);
+
+    let passes = false;
+    switch (logic) {
+        case 0: passes = anyMatched; break;      // AND ANY
+        case 1: passes = !allMatched; break;     // NOT ALL
+        case 2: passes = !anyMatched; break;     // NOT ANY
+        case 3: passes = allMatched; break;      // AND ALL
+    }
+
+    return {
+        passes,
+        logic: selectiveLogicNames[logic] || 'AND ANY',
+        matchedKeys,
+    };
+}
+
+/**
+ * Full key match check - primary + secondary logic
+ * offset is where the matched primary key starts in the haystack
+ */
+export function entryMatchesContent(haystack, targetEntry) {
+    // Check primary keys first
+    const primary = matchPrimaryKeys(haystack, targetEntry);
+    if (!primary.matches) return { matches: false };
+
+    // Check secondary keys if selective
+    const secondary = checkSecondaryKeys(haystack, targetEntry);
+    if (!secondary.passes) return { matches: false };
+
+    return {
+        matches: true,
+        matchedKey: primary.matchedKey,
+        offset: primary.offset,
+        secondaryLogic: secondary.logic,
+        matchedSecondaryKeys: secondary.matchedKeys,
+    };
+}
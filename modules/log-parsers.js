@@ -0,0 +1,335 @@
+// =============================================================================
+// LOG PARSERS - Versioned registry of rules for ST's [WI] debug lines
+// Each rule matches one wording, says which ST versions use it and how much
+// to trust it. Lines no rule understands are counted so wording changes show up
+// =============================================================================
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Confidence levels, most trusted first */
+export const LOG_CONFIDENCE = ['high', 'medium', 'low'];
+
+/** Rules registered by other extensions or at runtime - tried before the built-ins */
+const customRules = [];
+
+/** Detected SillyTavern version ('1.12.6'), or null until known */
+let stVersion = null;
+
+/** Unmatched template list is capped - one entry per distinct wording */
+const UNMATCHED_TEMPLATE_LIMIT = 50;
+
+/** Parser diagnostics since the last reset */
+const diagnostics = {
+    totalLines: 0,
+    matchedLines: 0,
+    unmatchedLines: 0,
+    byRule: new Map(),
+    unmatched: new Map(),
+};
+
+// =============================================================================
+// BUILT-IN RULES
+// =============================================================================
+
+/**
+ * Rule shape:
+ *   id         - unique, '<kind>.<name>'
+ *   kind       - loop | budget | group | rejection | activation | info
+ *   scope      - 'entry' (only "[WI] Entry N" lines), 'global' (only other lines) or 'any'
+ *   pattern    - tested against the line's message (entry prefix and world removed);
+ *                rejections only see ST's wording, so a matched key like "cooldown" or
+ *                "the loser" logged after "activated by primary key match" can't reject
+ *   confidence - high: exact ST wording, medium: loose wording, low: last-resort guess
+ *   since/until - ST versions the wording exists in (until is exclusive); omit for all.
+ *                 Exact wordings of later features carry since, so older versions fall
+ *                 through to the loose rule of the same kind
+ *   extract(match, line) - data for the consumer
+ *
+ * Within a kind the first applicable rule wins, so exact wordings come before loose ones.
+ * Loose rules only see the message, never the world name or entry content, so a
+ * lorebook called "Constant Lore" can't turn every line into a constant activation.
+ */
+const BUILTIN_RULES = [
+    // --- Scan structure ---
+    { id: 'loop.start', kind: 'loop', scope: 'global', confidence: 'high', pattern: /^--- LOOP #(\d+) START ---/, extract: m => ({ loop: parseInt(m[1], 10) }) },
+    { id: 'info.section', kind: 'info', scope: 'global', confidence: 'high', pattern: /^--- .+ ---$/, extract: () => ({}) },
+    { id: 'info.processing', kind: 'info', scope: 'entry', confidence: 'high', pattern: /^processing$/, extract: () => ({}) },
+
+    // --- Budget ---
+    { id: 'budget.reached', kind: 'budget', scope: 'global', confidence: 'high', pattern: /^budget of (\d+) reached, stopping after (\d+) entries/, extract: m => ({ budget: parseInt(m[1], 10), activatedCount: parseInt(m[2], 10) }) },
+    { id: 'budget.reached_loose', kind: 'budget', scope: 'any', confidence: 'medium', pattern: /budget of (\d+) reached/i, extract: m => ({ budget: parseInt(m[1], 10), activatedCount: null }) },
+
+    // --- Inclusion groups ---
+    { id: 'group.prio_winner', kind: 'group', scope: 'entry', confidence: 'high', pattern: /prio winner for inclusion group '([^']+)'/i, extract: m => ({ group: m[1], result: 'won', method: 'priority' }) },
+    { id: 'group.roll_winner', kind: 'group', scope: 'entry', confidence: 'high', pattern: /roll winner for inclusion group '([^']+)'/i, extract: m => ({ group: m[1], result: 'won', method: 'roll' }) },
+    { id: 'group.loser', kind: 'group', scope: 'entry', confidence: 'medium', pattern: /inclusion group '([^']+)'/i, when: line => /loser|removed/i.test(line.wording), extract: (m, line) => ({ group: m[1], result: 'lost', method: /scor/i.test(line.message) ? 'score' : null }) },
+    { id: 'group.already_activated', kind: 'group', scope: 'global', confidence: 'high', pattern: /^inclusion group '([^']+)'.*already activated/i, extract: m => ({ group: m[1], note: 'already_activated' }) },
+    { id: 'group.sticky', kind: 'group', scope: 'global', confidence: 'medium', pattern: /^inclusion group '([^']+)'.*sticky/i, extract: m => ({ group: m[1], note: 'sticky' }) },
+    { id: 'group.scoring', kind: 'group', scope: 'global', confidence: 'medium', pattern: /^inclusion group '([^']+)'.*scor/i, extract: m => ({ group: m[1], note: 'scoring' }) },
+    { id: 'group.info', kind: 'info', scope: 'global', confidence: 'low', pattern: /^inclusion group '([^']+)'/i, extract: m => ({ group: m[1] }) },
+
+    // --- Rejections (checked before activations - some mention "activated entries") ---
+    // Timed effects (sticky, cooldown, delay) came in 1.12.5, decorators in 1.12.6
+    { id: 'rejection.dont_activate', kind: 'rejection', scope: 'entry', confidence: 'high', since: '1.12.6', pattern: /^suppressed by @@dont_activate/, extract: () => ({ outcome: 'suppressed' }) },
+    { id: 'rejection.dont_activate_loose', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /@@dont_activate/, extract: () => ({ outcome: 'suppressed' }) },
+    { id: 'rejection.disabled', kind: 'rejection', scope: 'entry', confidence: 'high', pattern: /^disabled\b/, extract: () => ({ outcome: 'disabled' }) },
+    { id: 'rejection.disabled_loose', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /\bdisabled\b/, extract: () => ({ outcome: 'disabled' }) },
+    { id: 'rejection.delay_until_recursion', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /delay until recursion|delayUntilRecursion/i, extract: () => ({ outcome: 'recursion' }) },
+    { id: 'rejection.exclude_recursion', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /exclu(?:de|ded|sion).?(?:from )?recursion|recursion scan excluded/i, extract: () => ({ outcome: 'recursion' }) },
+    { id: 'rejection.cooldown', kind: 'rejection', scope: 'entry', confidence: 'high', since: '1.12.5', pattern: /^suppressed by cooldown/, extract: () => ({ outcome: 'cooldown' }) },
+    { id: 'rejection.cooldown_loose', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /cooldown/i, extract: () => ({ outcome: 'cooldown' }) },
+    { id: 'rejection.delay', kind: 'rejection', scope: 'entry', confidence: 'high', since: '1.12.5', pattern: /^suppressed by delay\b/, extract: () => ({ outcome: 'delay' }) },
+    { id: 'rejection.delay_loose', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /suppressed by (?:timed effects? )?\(?delay/i, extract: () => ({ outcome: 'delay' }) },
+    { id: 'rejection.probability', kind: 'rejection', scope: 'entry', confidence: 'high', pattern: /failed probability check/i, extract: () => ({ outcome: 'probability' }) },
+    { id: 'rejection.group_loser', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /loser|not a winner/i, extract: () => ({ outcome: 'group_loser' }) },
+    { id: 'rejection.filtered', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /filtered out|character filter|tag filter|generation type/i, extract: () => ({ outcome: 'filtered' }) },
+    { id: 'rejection.secondary_logic', kind: 'rejection', scope: 'entry', confidence: 'medium', pattern: /skipped.*\((?:AND ANY|NOT ALL|NOT ANY|AND ALL)\)|secondary key.*(?:not|no) /i, extract: () => ({ outcome: 'secondary_logic' }) },
+
+    // --- Activations ---
+    { id: 'activation.decorator', kind: 'activation', scope: 'entry', confidence: 'high', since: '1.12.6', pattern: /^activated by @@activate decorator/, extract: () => ({ reason: 'decorator' }) },
+    { id: 'activation.constant', kind: 'activation', scope: 'entry', confidence: 'high', pattern: /^activated because of constant/, extract: () => ({ reason: 'constant' }) },
+    { id: 'activation.sticky', kind: 'activation', scope: 'entry', confidence: 'high', since: '1.12.5', pattern: /^activated because active sticky/, extract: () => ({ reason: 'sticky' }) },
+    { id: 'activation.primary_key', kind: 'activation', scope: 'entry', confidence: 'high', pattern: /^activated by primary key match/, extract: (m, line) => ({ reason: 'primary_key_match', matchedKeyword: argAfter(line, 'primary key match') }) },
+    { id: 'activation.secondary', kind: 'activation', scope: 'entry', confidence: 'high', pattern: /^activated\. \((AND ANY|NOT ALL|NOT ANY|AND ALL)\)/, extract: m => ({ reason: `secondary_${m[1].toLowerCase().replace(' ', '_')}` }) },
+    { id: 'activation.prio_winner', kind: 'activation', scope: 'entry', confidence: 'high', pattern: /^activated as prio winner/, extract: () => ({ reason: 'group_priority' }) },
+    { id: 'activation.roll_winner', kind: 'activation', scope: 'entry', confidence: 'high', pattern: /^activated as roll winner/, extract: () => ({ reason: 'group_random' }) },
+    { id: 'activation.constant_loose', kind: 'activation', scope: 'entry', confidence: 'medium', pattern: /^activated\b.*\bconstant\b/i, extract: () => ({ reason: 'constant' }) },
+    { id: 'activation.sticky_loose', kind: 'activation', scope: 'entry', confidence: 'medium', pattern: /^activated\b.*\bsticky\b/i, extract: () => ({ reason: 'sticky' }) },
+    { id: 'activation.secondary_loose', kind: 'activation', scope: 'entry', confidence: 'medium', pattern: /^activated\b.*\b(AND ANY|NOT ALL|NOT ANY|AND ALL)\b/, extract: m => ({ reason: `secondary_${m[1].toLowerCase().replace(' ', '_')}` }) },
+    { id: 'activation.generic', kind: 'activation', scope: 'entry', confidence: 'low', pattern: /\bactivated\b/i, extract: () => ({ reason: 'activated' }) },
+];
+
+// =============================================================================
+// LINE NORMALIZATION
+// =============================================================================
+
+/**
+ * Split a console.debug call into the parts rules care about
+ * "[WI] Entry 5", "from 'World'", "activated by primary key match", "dragon"
+ *   -> { uidText: '5', world: 'World', message: 'activated by primary key match dragon',
+ *        wording: 'activated by primary key match' }
+ * wording is ST's own text only - the string argument the message starts in, without
+ * the values (matched key, entry fields) logged after it
+ */
+function normalizeLine(args) {
+    const strings = args.filter(a => typeof a === 'string');
+    const text = strings.join(' ');
+
+    let message = text.replace(/^\[WI\]\s*/, '');
+    let uidText = null;
+    let world = null;
+
+    const entryHead = message.match(/^Entry (\d+)\s*/);
+    if (entryHead) {
+        uidText = entryHead[1];
+        message = message.slice(entryHead[0].length);
+        const from = message.match(/^from '([^']*)'\s*/);
+        if (from) {
+            world = from[1];
+            message = message.slice(from[0].length);
+        }
+    }
+
+    // End of the string argument the message starts in
+    const messageStart = text.length - message.length;
+    let wordingEnd = 0;
+    for (const string of strings) {
+        wordingEnd += string.length;
+        if (wordingEnd > messageStart) break;
+        wordingEnd += 1; // the joining space
+    }
+
+    return { args, strings, text, uidText, world, message: message.trim(), wording: text.slice(messageStart, wordingEnd).trim() };
+}
+
+/**
+ * The string argument logged right after the one containing a phrase (e.g. the matched key)
+ */
+function argAfter(line, phrase) {
+    const index = line.strings.findIndex(s => s.includes(phrase));
+    return index !== -1 ? line.strings[index + 1] ?? null : null;
+}
+
+/**
+ * Collapse a line to its wording so unmatched lines group by template
+ */
+function toTemplate(line) {
+    return line.text
+        .replace(/'[^']*'/g, '\'…\'')
+        .replace(/\d+/g, '#')
+        .slice(0, 160);
+}
+
+// =============================================================================
+// VERSIONING
+// =============================================================================
+
+/**
+ * Compare dotted version strings - negative if a < b
+ */
+function compareVersions(a, b) {
+    const pa = String(a).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+    const pb = String(b).split(/[.-]/).map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Whether a rule's wording exists in the given ST version (unknown version: every rule applies)
+ */
+function ruleAppliesTo(rule, version) {
+    if (!version) return true;
+    if (rule.since && compareVersions(version, rule.since) < 0) return false;
+    if (rule.until && compareVersions(version, rule.until) >= 0) return false;
+    return true;
+}
+
+/**
+ * Ask the server which ST version is running
+ */
+async function detectSillyTavernVersion() {
+    try {
+        const response = await fetch('/version');
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data?.pkgVersion || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse one [WI] console.debug call
+ * @param {Array} args - The console.debug arguments
+ * @param {Object} [options] - { version, record: false to leave diagnostics alone }
+ * @returns {{ line: Object, matches: Object }} matches holds at most one result per kind:
+ *          { ruleId, confidence, data }
+ */
+export function parseWILog(args, { version = stVersion, record = true } = {}) {
+    const line = normalizeLine(args);
+    const scope = line.uidText !== null ? 'entry' : 'global';
+    const matches = {};
+
+    for (const rule of getActiveLogRules(version)) {
+        if (matches[rule.kind]) continue;
+        if (rule.scope !== 'any' && rule.scope !== scope) continue;
+
+        const match = (rule.kind === 'rejection' ? line.wording : line.message).match(rule.pattern);
+        if (!match || (rule.when && !rule.when(line))) continue;
+
+        matches[rule.kind] = { ruleId: rule.id, confidence: rule.confidence, data: rule.extract(match, line) };
+    }
+
+    if (record) recordDiagnostics(line, matches);
+    return { line, matches };
+}
+
+/**
+ * Count matched rules and collect unmatched wordings
+ */
+function recordDiagnostics(line, matches) {
+    diagnostics.totalLines++;
+
+    const ruleIds = Object.values(matches).map(m => m.ruleId);
+    if (!ruleIds.length) {
+        diagnostics.unmatchedLines++;
+        const template = toTemplate(line);
+        const existing = diagnostics.unmatched.get(template);
+        if (existing) {
+            existing.count++;
+        } else if (diagnostics.unmatched.size < UNMATCHED_TEMPLATE_LIMIT) {
+            diagnostics.unmatched.set(template, { template, count: 1, sample: line.text.slice(0, 300) });
+        }
+        return;
+    }
+
+    diagnostics.matchedLines++;
+    for (const id of ruleIds) {
+        diagnostics.byRule.set(id, (diagnostics.byRule.get(id) || 0) + 1);
+    }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Add a parser rule - custom rules are tried before the built-ins of the same kind
+ * @param {Object} rule - See BUILTIN_RULES for the shape
+ */
+export function registerLogRule(rule) {
+    if (!rule?.id || !rule.kind || !(rule.pattern instanceof RegExp) || typeof rule.extract !== 'function') {
+        throw new Error('[TrackHare] Log rules need an id, kind, pattern and extract function');
+    }
+    const index = customRules.findIndex(r => r.id === rule.id);
+    const normalized = { scope: 'entry', confidence: 'medium', ...rule };
+    if (index !== -1) customRules[index] = normalized;
+    else customRules.push(normalized);
+}
+
+/**
+ * Remove a custom parser rule
+ * @param {string} id
+ */
+export function unregisterLogRule(id) {
+    const index = customRules.findIndex(r => r.id === id);
+    if (index !== -1) customRules.splice(index, 1);
+}
+
+/**
+ * Rules that apply to an ST version, in the order they are tried
+ * @param {string} [version] - Defaults to the detected version
+ */
+export function getActiveLogRules(version = stVersion) {
+    return [...customRules, ...BUILTIN_RULES].filter(rule => ruleAppliesTo(rule, version));
+}
+
+/**
+ * Get the ST version rules are selected for (null until detected)
+ */
+export function getLogParserVersion() {
+    return stVersion;
+}
+
+/**
+ * Parser diagnostics - how many [WI] lines were understood, by which rules, and which weren't
+ * @returns {Object} { version, totalLines, matchedLines, unmatchedLines, byRule, unmatched: [{ template, count, sample }] }
+ */
+export function getLogParserDiagnostics() {
+    return {
+        version: stVersion,
+        totalLines: diagnostics.totalLines,
+        matchedLines: diagnostics.matchedLines,
+        unmatchedLines: diagnostics.unmatchedLines,
+        byRule: Object.fromEntries(diagnostics.byRule),
+        unmatched: [...diagnostics.unmatched.values()].sort((a, b) => b.count - a.count),
+    };
+}
+
+/**
+ * Reset parser diagnostics
+ */
+export function resetLogParserDiagnostics() {
+    diagnostics.totalLines = 0;
+    diagnostics.matchedLines = 0;
+    diagnostics.unmatchedLines = 0;
+    diagnostics.byRule.clear();
+    diagnostics.unmatched.clear();
+}
+
+/**
+ * Initialize the parser registry
+ */
+export async function initLogParsers() {
+    stVersion = await detectSillyTavernVersion();
+    console.log(`[TrackHare] Log parsers initialized (ST ${stVersion ?? 'unknown'}, ${getActiveLogRules().length} rules)`);
+}
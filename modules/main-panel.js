@@ -4,11 +4,23 @@
 // =============================================================================
 
 import { extension_settings } from '../../../../extensions.js';
+import { saveSettingsDebounced } from '../../../../../script.js';
 import { delay } from '../../../../utils.js';
 import { uiState } from './ui-state.js';
-import { getEnhancedTriggerDetails, getDeepTriggerInfo } from './trigger-tracking.js';
+import { getEnhancedTriggerDetails, getEntryKey, getDeepTriggerInfo, getProbabilityResult, getRecursionChain } from './trigger-tracking.js';
+import { getTriggerSourceAttribution } from './source-attribution.js';
 import { isVectHareAvailable, getVectHareChunks, renderVectHareSection } from './vecthare-integration.js';
+import { renderNearMissSection } from './near-miss.js';
+import { renderGroupContestSection } from './group-contests.js';
+import { renderBudgetBanner } from './budget-overflow.js';
+import { getTimedEffects, renderTimedEffectsSection, formatEffectCountdown, describeEffect } from './timed-effects.js';
+import { renderEntryDrawer } from './entry-drawer.js';
+import { isDebugMode, renderEntryDebug } from './debug-mode.js';
+import { renderFilterBar, filterPanelEntries } from './panel-filters.js';
+import { GROUP_MODES, getGroupMode, groupEntries, renderGroupModeSelect } from './entry-grouping.js';
+import { isDiffMode, computeEntryDiff, getEntryDiffState, renderDiffSummary, renderDroppedEntry, DIFF_STATES } from './entry-diff.js';
 import { strategy, positionNames } from './constants.js';
+import { escapeHtml } from './html.js';
 
 // Re-export for public API
 export { strategy } from './constants.js';
@@ -18,12 +30,15 @@ export { strategyDescriptions } from './constants.js';
 let positionPanelFn = null;
 export function setPositionPanelFn(fn) { positionPanelFn = fn; }
 
+/** Entry list the panel last rendered - live or a snapshot */
+let renderedEntryList = [];
+
 /**
  * Get strategy for an entry
  */
 export function getStrategy(entry) {
     if (entry.triggerReason) return entry.triggerReason;
-    const deepInfo = getDeepTriggerInfo(entry.uid);
+    const deepInfo = getDeepTriggerInfo(entry);
     if (deepInfo?.reason) return deepInfo.reason;
     if (entry.constant) return 'constant';
     if (entry.vectorized) return 'vector';
@@ -90,6 +105,8 @@ function getTriggerDisplay(entry) {
         'secondary_not_any': { emoji: '🔗', text: 'SECONDARY (NOT ANY)', color: '#06b6d4' },
         'secondary_and_all': { emoji: '🔗', text: 'SECONDARY (AND ALL)', color: '#06b6d4' },
         'primary_key_match': { emoji: '🟢', text: 'KEY MATCH', color: '#10b981' },
+        'group_priority': { emoji: '👥', text: 'GROUP (PRIORITY)', color: '#d946ef' },
+        'group_random': { emoji: '👥', text: 'GROUP (ROLL)', color: '#d946ef' },
         'key_match': { emoji: '🟢', text: 'KEY MATCH', color: '#10b981' },
         'normal_key_match': { emoji: '🟢', text: 'KEY MATCH', color: '#10b981' },
         'normal': { emoji: '🟢', text: 'KEY MATCH', color: '#10b981' },
@@ -104,6 +121,7 @@ function getTriggerDisplay(entry) {
 export function updatePanel(entryList, newChat = false) {
     const panel = uiState.panel;
     if (!panel) return;
+    renderedEntryList = entryList || [];
     panel.innerHTML = '';
 
     if (!entryList?.length) {
@@ -120,7 +138,21 @@ export function updatePanel(entryList, newChat = false) {
                 <div class="ck-empty-state__desc">Start chatting to trigger worldbook entries</div>
             </div>
         `;
-        updateBadge([]);
+
+        // Nothing fired - that's exactly when "why not?" matters most
+        const content = document.createElement('div');
+        content.className = 'ck-content';
+        if (!uiState.snapshotView) {
+            renderTimedEffectsSection(content);
+            renderGroupContestSection(content);
+            renderNearMissSection(content);
+        }
+        if (content.childElementCount) panel.appendChild(content);
+
+        // A full budget can be the reason nothing fired
+        if (!uiState.snapshotView) renderBudgetBanner(panel);
+        renderSnapshotBanner(panel);
+        if (!uiState.snapshotView) updateBadge([]);
         return;
     }
 
@@ -129,6 +161,36 @@ export function updatePanel(entryList, newChat = false) {
     } else {
         renderFullMode(panel, entryList);
     }
+    if (!uiState.snapshotView) renderBudgetBanner(panel);
+    renderSnapshotBanner(panel);
+}
+
+/**
+ * Re-render whatever the panel shows, e.g. after a display setting changed
+ */
+export function refreshPanel() {
+    updatePanel(renderedEntryList);
+}
+
+/**
+ * Banner shown while viewing a stored message snapshot, with a way back to live data
+ */
+function renderSnapshotBanner(panel) {
+    const view = uiState.snapshotView;
+    if (!view) return;
+
+    const banner = document.createElement('div');
+    banner.className = 'ck-snapshot-banner';
+    banner.innerHTML = `
+        <span>📸 As of message #${view.messageId} • ${new Date(view.timestamp).toLocaleString()}</span>
+        <button class="ck-snapshot-banner__live" title="Back to the latest generation">Live</button>
+    `;
+    banner.querySelector('.ck-snapshot-banner__live').addEventListener('click', (e) => {
+        e.stopPropagation();
+        uiState.snapshotView = null;
+        updatePanel(uiState.currentEntryList || []);
+    });
+    panel.prepend(banner);
 }
 
 /**
@@ -150,32 +212,42 @@ function renderPotatoMode(panel, entryList) {
     `;
 
     const header = document.createElement('div');
-    header.textContent = `🧭 Active Entries (${entryList.length})`;
     header.style.cssText = `
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
         font-weight: 600;
         margin-bottom: 12px;
         padding-bottom: 8px;
         border-bottom: 2px solid var(--SmartThemeBorderColor);
         font-size: 14px;
     `;
+    const headerTitle = document.createElement('span');
+    headerTitle.textContent = `🧭 Active Entries (${entryList.length})`;
+    header.appendChild(headerTitle);
+    header.appendChild(renderGroupModeSelect(() => refreshPanel()));
     panel.appendChild(header);
 
     const grouped = groupEntries(entryList);
+    const { icon } = GROUP_MODES[getGroupMode()];
 
-    for (const [worldName, entries] of Object.entries(grouped)) {
-        const worldHeader = document.createElement('div');
-        worldHeader.textContent = `📚 ${worldName} (${entries.length})`;
-        worldHeader.style.cssText = `
+    for (const [label, members] of Object.entries(grouped)) {
+        const groupHeader = document.createElement('div');
+        groupHeader.textContent = `${icon ? `${icon} ` : ''}${label} (${members.length})`;
+        groupHeader.style.cssText = `
             font-weight: 600;
             margin-top: 12px;
             margin-bottom: 6px;
             color: var(--SmartThemeQuoteColor);
             font-size: 12px;
         `;
-        panel.appendChild(worldHeader);
+        panel.appendChild(groupHeader);
 
-        sortEntries(entries).forEach(entry => {
+        sortEntries(members).forEach(entry => {
             const line = document.createElement('div');
+            line.className = 'ck-potato-entry';
+            line.dataset.ckEntryKey = getEntryKey(entry.world, entry.uid);
             line.style.cssText = `
                 padding: 6px 8px;
                 margin: 2px 0;
@@ -263,6 +335,23 @@ function renderFullMode(panel, entryList) {
     sizeButtons.compact.classList.add('ck-size-toggle--active');
     panel.classList.add('ck-panel--compact');
 
+    // Turn-over-turn diff toggle
+    const diffButton = document.createElement('button');
+    diffButton.className = 'ck-size-toggle ck-diff-toggle';
+    diffButton.textContent = '±';
+    diffButton.title = 'Diff mode - what changed since the previous generation';
+    diffButton.classList.toggle('ck-size-toggle--active', isDiffMode());
+    diffButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        extension_settings.TrackHare.panelDiffMode = !isDiffMode();
+        saveSettingsDebounced();
+        refreshPanel();
+    });
+    sizeControls.appendChild(diffButton);
+
+    // Grouping picker
+    sizeControls.appendChild(renderGroupModeSelect(() => refreshPanel()));
+
     header.appendChild(icon);
     header.appendChild(title);
     header.appendChild(sizeControls);
@@ -273,11 +362,61 @@ function renderFullMode(panel, entryList) {
     const content = document.createElement('div');
     content.className = 'ck-content';
 
-    const grouped = groupEntries(entryList);
-    for (const [worldName, entries] of Object.entries(grouped)) {
-        // World header
-        const worldHeader = document.createElement('div');
-        worldHeader.className = 'ck-world-header';
+    // Diff against the previous generation - live data only
+    const diffMode = isDiffMode() && !uiState.snapshotView;
+    const diff = diffMode ? computeEntryDiff(entryList) : null;
+    if (diffMode) content.appendChild(renderDiffSummary(diff));
+
+    // Search/filter bar - only the entry list re-renders, so the search box keeps focus
+    const entryGroups = document.createElement('div');
+    entryGroups.className = 'ck-entry-groups';
+    const showEntries = (entries) => {
+        entryGroups.innerHTML = '';
+        renderEntryGroups(entryGroups, entries, diff);
+    };
+    content.appendChild(renderFilterBar(entryList, showEntries));
+    showEntries(filterPanelEntries(entryList));
+    content.appendChild(entryGroups);
+
+    // Live-only sections - they describe the latest scan, not a stored snapshot
+    if (!uiState.snapshotView) {
+        // VectHare section
+        renderVectHareSection(content);
+
+        // Sticky / cooldown / delay countdowns
+        renderTimedEffectsSection(content);
+
+        // Inclusion group contests
+        renderGroupContestSection(content);
+
+        // Near-miss section
+        renderNearMissSection(content);
+    }
+
+    panel.appendChild(content);
+}
+
+/**
+ * Render entries grouped by the current grouping mode into a container
+ * With a diff, entries that dropped out since the previous generation follow the live ones
+ */
+function renderEntryGroups(content, entryList, diff = null) {
+    const dropped = diff ? filterPanelEntries(diff.dropped) : [];
+    if (!entryList.length && !dropped.length) {
+        const empty = document.createElement('div');
+        empty.className = 'ck-filter-empty';
+        empty.textContent = 'No entries match the filters';
+        content.appendChild(empty);
+        return;
+    }
+
+    const grouped = groupEntries([...entryList, ...dropped]);
+    for (const [label, members] of Object.entries(grouped)) {
+        const entries = members.filter(entry => !entry.diffDropped);
+
+        // Group header
+        const groupHeader = document.createElement('div');
+        groupHeader.className = 'ck-world-header';
 
         const repoIcon = document.createElement('div');
         repoIcon.innerHTML = `
@@ -285,49 +424,33 @@ function renderFullMode(panel, entryList) {
                 <path d="M8 0C3.58 0 0 3.58 0 8c0 3.54 2.29 6.53 5.47 7.59.4.07.55-.17.55-.38 0-.19-.01-.82-.01-1.49-2.01.37-2.53-.49-2.69-.94-.09-.23-.48-.94-.82-1.13-.28-.15-.68-.52-.01-.53.63-.01 1.08.58 1.23.82.72 1.21 1.87.87 2.33.66.07-.52.28-.87.51-1.07-1.78-.2-3.64-.89-3.64-3.95 0-.87.31-1.59.82-2.15-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82.64-.18 1.32-.27 2-.27.68 0 1.36.09 2 .27 1.53-1.04 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.15 0 3.07-1.87 3.75-3.65 3.95.29.25.54.73.54 1.48 0 1.07-.01 1.93-.01 2.2 0 .21.15.46.55.38A8.013 8.013 0 0016 8c0-4.42-3.58-8-8-8z"/>
             </svg>
         `;
-        worldHeader.appendChild(repoIcon);
+        groupHeader.appendChild(repoIcon);
 
-        const worldTitle = document.createElement('span');
-        worldTitle.textContent = worldName;
-        worldHeader.appendChild(worldTitle);
+        const groupTitle = document.createElement('span');
+        groupTitle.textContent = label;
+        groupHeader.appendChild(groupTitle);
 
         const countBadge = document.createElement('span');
         countBadge.className = 'ck-header__badge';
         countBadge.textContent = entries.length.toString();
         countBadge.style.marginLeft = 'auto';
-        worldHeader.appendChild(countBadge);
+        groupHeader.appendChild(countBadge);
 
-        content.appendChild(worldHeader);
+        content.appendChild(groupHeader);
 
         // Entries container
         const entriesContainer = document.createElement('div');
         entriesContainer.className = 'ck-entries-container';
 
         sortEntries(entries).forEach(entry => {
-            entriesContainer.appendChild(renderEntry(entry));
+            entriesContainer.appendChild(renderEntry(entry, diff));
+        });
+        members.filter(entry => entry.diffDropped).forEach(entry => {
+            entriesContainer.appendChild(renderDroppedEntry(entry));
         });
 
         content.appendChild(entriesContainer);
     }
-
-    // VectHare section
-    renderVectHareSection(content);
-
-    panel.appendChild(content);
-}
-
-/**
- * Group entries by world
- */
-function groupEntries(entryList) {
-    if (!(extension_settings.TrackHare?.worldBookGroup ?? true)) {
-        return { 'All Entries': entryList };
-    }
-    return entryList.reduce((acc, e) => {
-        const key = e.world || 'Unknown';
-        (acc[key] = acc[key] || []).push(e);
-        return acc;
-    }, {});
 }
 
 /**
@@ -342,15 +465,77 @@ function sortEntries(entries) {
     });
 }
 
+/**
+ * Build probability tags: configured chance, this turn's roll, and recent pass/fail history
+ */
+function renderProbabilityTags(entry) {
+    const result = getProbabilityResult(entry);
+    if (!result) {
+        return [`<span class="ck-summary__tag" title="No rolls recorded yet">🎲 ${entry.probability}%</span>`];
+    }
+
+    const { current, history, stats } = result;
+    const icons = { passed: '✓', failed: '✗', skipped_sticky: '📌' };
+    const rate = stats.passRate !== null ? `${Math.round(stats.passRate * 100)}%` : '—';
+    const recent = history.slice(-10);
+
+    const title = [
+        `Configured: ${entry.probability}% • Actual: ${rate} over ${stats.rolls} rolls`,
+        `Passed ${stats.passed} • Failed ${stats.failed}${stats.skipped ? ` • Skipped (sticky) ${stats.skipped}` : ''}`,
+        current ? `This turn: ${current.outcome.replace('_', ' ')}` : 'Did not roll this turn',
+    ].join('\n');
+
+    const dots = recent.map(r => `<span class="ck-prob-dot ck-prob-dot--${r.outcome}" title="${new Date(r.timestamp).toLocaleTimeString()}: ${r.outcome.replace('_', ' ')}"></span>`).join('');
+
+    return [
+        `<span class="ck-summary__tag" title="${title}">🎲 ${entry.probability}% ${current ? icons[current.outcome] : ''} • ${stats.passed}/${stats.rolls} (${rate})</span>`,
+        `<span class="ck-summary__tag ck-prob-history" title="Last ${recent.length} rolls (oldest first)">${dots}</span>`,
+    ];
+}
+
+/**
+ * Scroll the chat to a message and flash it
+ */
+function jumpToMessage(messageIndex) {
+    const message = document.querySelector(`#chat .mes[mesid="${messageIndex}"]`);
+    if (!message) {
+        toastr.info(`Message #${messageIndex} is not loaded in the chat view`, 'TrackHare');
+        return;
+    }
+    message.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    message.classList.add('ck-mes-flash');
+    setTimeout(() => message.classList.remove('ck-mes-flash'), 1500);
+}
+
+/**
+ * Scroll the panel to an entry's row and flash it
+ * An entry in several inclusion groups has a row under each - all of them flash
+ * @param {string} key - world§§§uid key
+ */
+export function focusPanelEntry(key) {
+    const selector = `[data-ck-entry-key="${CSS.escape(key)}"]`;
+    const rows = [...(uiState.panel?.querySelectorAll(`.ck-entry${selector}, .ck-potato-entry${selector}`) || [])];
+    if (!rows.length) {
+        toastr.info('That entry is not in the panel - it did not activate in the shown generation', 'TrackHare');
+        return;
+    }
+    rows[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    rows.forEach(row => row.classList.add('ck-mes-flash'));
+    setTimeout(() => rows.forEach(row => row.classList.remove('ck-mes-flash')), 1500);
+}
+
 /**
  * Render single entry (matches CarrotKernel style)
  */
-function renderEntry(entry) {
+function renderEntry(entry, diff = null) {
     const entryDiv = document.createElement('div');
     entryDiv.className = 'ck-entry';
+    const diffState = getEntryDiffState(diff, entry);
+    if (diffState) entryDiv.classList.add(`ck-entry--diff-${diffState}`);
 
     const entryStrategy = getStrategy(entry);
     entryDiv.dataset.strategy = entryStrategy;
+    entryDiv.dataset.ckEntryKey = getEntryKey(entry.world, entry.uid);
 
     const triggerDisplay = getTriggerDisplay(entry);
 
@@ -375,6 +560,15 @@ function renderEntry(entry) {
     const indicatorsDiv = document.createElement('div');
     indicatorsDiv.className = 'ck-entry__indicators';
 
+    // Diff indicator
+    if (diffState) {
+        const diffIndicator = document.createElement('span');
+        diffIndicator.className = 'ck-entry__diff';
+        diffIndicator.textContent = DIFF_STATES[diffState].emoji;
+        diffIndicator.title = DIFF_STATES[diffState].description;
+        indicatorsDiv.appendChild(diffIndicator);
+    }
+
     // Trigger indicator
     const triggerIndicator = document.createElement('span');
     triggerIndicator.className = 'ck-entry__trigger-indicator';
@@ -388,8 +582,17 @@ function renderEntry(entry) {
     triggerReasonText.textContent = triggerDisplay.text;
     indicatorsDiv.appendChild(triggerReasonText);
 
-    // Sticky indicator
-    if (entry.sticky && entry.sticky !== 0) {
+    // Live timed effect countdowns, falling back to the entry's configured sticky
+    const timed = uiState.snapshotView ? null : getTimedEffects(entry);
+    if (timed) {
+        timed.effects.forEach(effect => {
+            const effectDiv = document.createElement('span');
+            effectDiv.className = `ck-entry__sticky ck-entry__timed--${effect.type}`;
+            effectDiv.textContent = formatEffectCountdown(effect);
+            effectDiv.title = describeEffect(effect);
+            indicatorsDiv.appendChild(effectDiv);
+        });
+    } else if (entry.sticky && entry.sticky !== 0) {
         const stickyDiv = document.createElement('span');
         stickyDiv.className = 'ck-entry__sticky';
         stickyDiv.textContent = `📌${entry.sticky}`;
@@ -427,12 +630,49 @@ function renderEntry(entry) {
 
     // Probability tag (if not 100%)
     if (entry.probability && entry.probability < 100) {
-        tags.push(`<span class="ck-summary__tag">🎲 ${entry.probability}%</span>`);
+        tags.push(...renderProbabilityTags(entry));
     }
 
     // Group tag
     if (entry.group) {
-        tags.push(`<span class="ck-summary__tag">👥 ${entry.group}</span>`);
+        tags.push(`<span class="ck-summary__tag">👥 ${escapeHtml(entry.group)}</span>`);
+    }
+
+    // Snapshot tags - recorded when the message was generated
+    if (entry.snapshot) {
+        const { level, tokens, keyword } = entry.snapshot;
+        if (level > 0) tags.push(`<span class="ck-summary__tag" title="Recursion level">🔄 L${level}</span>`);
+        if (keyword) tags.push(`<span class="ck-summary__tag" title="Matched keyword">🎯 ${escapeHtml(keyword)}</span>`);
+        tags.push(`<span class="ck-summary__tag" title="Token cost when this message was generated">🪙 ${tokens} tok</span>`);
+    }
+
+    // Scan source tag - where the matched key was found outside the chat
+    const attribution = entry.snapshot ? null : getTriggerSourceAttribution(entry);
+    if (attribution && attribution.source !== 'chat') {
+        const title = attribution.matches
+            .map(m => `${m.label}${m.messageIndex !== null ? ` #${m.messageIndex} (${m.speaker})` : ''}: '${m.matchedKey}' at char ${m.offset}`)
+            .join('\n');
+        tags.push(`<span class="ck-summary__tag" title="${escapeHtml(title)}">📍 ${escapeHtml(attribution.label)}</span>`);
+    }
+
+    // Recursion source tag - which entry's content pulled this one in
+    const chain = entry.snapshot ? null : getRecursionChain(entry);
+
+    // Chat message tag - jumps to the newest message whose text matched when the entry activated
+    if (!entry.snapshot && !chain?.source) {
+        const trigger = entry.chatTrigger?.triggeringMessages[0];
+        if (trigger) {
+            const title = trigger.keys.map(k => `${k.type} '${k.key}' ${k.inSpeakerName ? 'in the speaker name' : `at chars ${k.start}-${k.end}`}`).join('\n');
+            tags.push(`<span class="ck-summary__tag ck-summary__tag--link" data-ck-mesid="${trigger.messageIndex}" title="${escapeHtml(`${trigger.speaker}\n${title}`)}\nClick to jump to the message">💬 #${trigger.messageIndex}</span>`);
+        }
+    }
+    if (chain?.source) {
+        const { source, sources } = chain;
+        const others = sources.length > 1 ? `\nAlso matched in: ${sources.slice(1).map(s => s.name).join(', ')}` : '';
+        const title = `Key '${source.matchedKey}' found at char ${source.offset} of ${source.name} (${source.world}, loop ${source.loop})${others}`;
+        tags.push(`<span class="ck-summary__tag" title="${escapeHtml(title)}">↩ ${escapeHtml(source.name)}</span>`);
+    } else if (chain?.provenance === 'unresolved') {
+        tags.push('<span class="ck-summary__tag" title="Activated during recursion, but no earlier entry\'s content contains its keys">↩ ?</span>');
     }
 
     // Entry settings tags
@@ -450,15 +690,34 @@ function renderEntry(entry) {
         if (settings.scanning?.scanCharacter === true) {
             tags.push(`<span class="ck-summary__tag" title="Scans character">🎭 CHAR-SCAN</span>`);
         }
+        if (settings.scanning?.scanScenario === true) {
+            tags.push(`<span class="ck-summary__tag" title="Scans scenario">🎬 SCENARIO-SCAN</span>`);
+        }
     }
 
     summaryBar.innerHTML = tags.join('');
+    summaryBar.querySelectorAll('[data-ck-mesid]').forEach(tag => {
+        tag.addEventListener('click', (e) => {
+            e.stopPropagation();
+            jumpToMessage(Number(tag.dataset.ckMesid));
+        });
+    });
     entryDiv.appendChild(summaryBar);
 
-    // Click to expand (add debug info)
+    // Debug Mode - raw trigger data on every row
+    if (isDebugMode()) {
+        entryDiv.classList.add('ck-entry--debug');
+        entryDiv.appendChild(renderEntryDebug(entry));
+    }
+
+    // Click to expand the detail drawer - built on first open, panels can hold hundreds of entries
     entryDiv.addEventListener('click', (e) => {
         e.stopPropagation();
-        entryDiv.classList.toggle('ck-entry--expanded');
+        const expanded = entryDiv.classList.toggle('ck-entry--expanded');
+        if (expanded && !entryDiv.querySelector('.ck-drawer')) {
+            entryDiv.appendChild(renderEntryDrawer(entry));
+        }
+        if (positionPanelFn) setTimeout(positionPanelFn, 100);
     });
 
     return entryDiv;
@@ -0,0 +1,317 @@
+// =============================================================================
+// MESSAGE SNAPSHOTS - Per-message (and per-swipe) activation history
+// Stores a compact trace of what fired in each generated message's extra data,
+// so the panel can be reopened "as of" any earlier message after a reload.
+// Each swipe keeps its own trace in swipe_info so swipes can be compared
+// =============================================================================
+
+import { chat, event_types, eventSource, saveChatDebounced } from '../../../../../script.js';
+import { extension_settings, getContext } from '../../../../extensions.js';
+import { loadWorldInfo } from '../../../../../scripts/world-info.js';
+import { uiState } from './ui-state.js';
+import { getEntryKey, getDeepTriggerInfo } from './trigger-tracking.js';
+import { getItemizationSummary } from './token-itemizer.js';
+import { getVectHareChunks, getGenerationVectHare } from './vecthare-integration.js';
+import { updatePanel } from './main-panel.js';
+import { openPanel } from './ui-components.js';
+import { showSwipeComparison } from './swipe-compare.js';
+import { getGenerationTag, isGenerationOpen, shouldUpdatePanel } from './generation-context.js';
+import { countTokens } from './token-count.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Key under message.extra */
+const SNAPSHOT_KEY = 'trackhare';
+
+/** Bump when the stored snapshot shape changes (v2 adds swipeId, itemization and vectHare) */
+const SNAPSHOT_VERSION = 2;
+
+/** Snapshot for the generation in progress - a promise, token counting is async */
+let pendingSnapshot = null;
+
+/** When the current generation started - older itemization/VectHare data belongs to another turn */
+let generationStartedAt = 0;
+
+// =============================================================================
+// SNAPSHOT BUILDING
+// =============================================================================
+
+/**
+ * Build the compact snapshot record for one activated entry
+ */
+async function buildSnapshotEntry(entry) {
+    const deepInfo = getDeepTriggerInfo(entry);
+    return {
+        world: entry.world,
+        uid: entry.uid,
+        name: entry.comment || entry.key?.[0] || `Entry #${entry.uid}`,
+        reason: entry.triggerReason || deepInfo?.reason || 'unknown',
+        level: deepInfo?.recursionLevel ?? 0,
+        tokens: await countTokens(entry.content),
+        keyword: deepInfo?.matchedKeyword || null,
+    };
+}
+
+/**
+ * Build a full snapshot from the activated entry list
+ */
+async function buildSnapshot(entryList) {
+    return {
+        version: SNAPSHOT_VERSION,
+        timestamp: Date.now(),
+        ...getGenerationTag(),
+        entries: await Promise.all(entryList.map(buildSnapshotEntry)),
+    };
+}
+
+/**
+ * Itemization totals for the current generation, or null if the itemizer has nothing newer
+ */
+function captureItemizationTotals(generationId) {
+    const summary = getItemizationSummary();
+    if (!summary) return null;
+    // Correlate by generation id; fall back to timing for itemizations without one
+    if (summary.generationId != null ? summary.generationId !== generationId : summary.timestamp < generationStartedAt) return null;
+
+    return {
+        totalTokens: summary.totalTokens,
+        categories: Object.fromEntries(Object.entries(summary.categories).map(([name, category]) => [name, category.tokens])),
+    };
+}
+
+/**
+ * VectHare chunks injected for a generation
+ */
+function captureVectHareChunks(generationId) {
+    const { chunks } = getVectHareChunks(getGenerationVectHare(generationId));
+    if (!chunks.length) return [];
+
+    return chunks.map(chunk => ({
+        hash: chunk.hash,
+        score: chunk.score ?? null,
+        text: (chunk.text || '').slice(0, 120),
+    }));
+}
+
+/**
+ * Turn a stored snapshot back into entry objects the panel can render
+ * Pulls the live lorebook entry when it still exists so content and settings show up
+ */
+async function hydrateSnapshot(snapshot) {
+    const worlds = new Map();
+    for (const world of new Set(snapshot.entries.map(e => e.world))) {
+        try {
+            worlds.set(world, await loadWorldInfo(world));
+        } catch (e) {
+            worlds.set(world, null);
+        }
+    }
+
+    return snapshot.entries.map(record => {
+        const live = worlds.get(record.world)?.entries?.[record.uid];
+        return {
+            ...(live || { comment: record.name }),
+            world: record.world,
+            uid: record.uid,
+            type: 'wi',
+            triggerReason: record.reason,
+            snapshot: record,
+        };
+    });
+}
+
+// =============================================================================
+// MESSAGE BUTTONS
+// =============================================================================
+
+/**
+ * Add the "as of" button to a rendered message that has a snapshot
+ */
+function addMessageButton(messageId) {
+    if (!getMessageSnapshot(messageId)) return;
+
+    const buttons = document.querySelector(`#chat .mes[mesid="${messageId}"] .extraMesButtons`);
+    if (!buttons || buttons.querySelector('.ck-snapshot-button')) return;
+
+    const button = document.createElement('div');
+    button.className = 'mes_button ck-snapshot-button fa-solid fa-compass';
+    button.title = 'TrackHare: show what fired for this message';
+    buttons.prepend(button);
+}
+
+/**
+ * Add the swipe comparison button once a message has traces for two or more swipes
+ */
+function addCompareButton(messageId) {
+    if (getSwipeTraces(messageId).length < 2) return;
+
+    const buttons = document.querySelector(`#chat .mes[mesid="${messageId}"] .extraMesButtons`);
+    if (!buttons || buttons.querySelector('.ck-swipe-compare-button')) return;
+
+    const button = document.createElement('div');
+    button.className = 'mes_button ck-swipe-compare-button fa-solid fa-code-compare';
+    button.title = 'TrackHare: compare lore between swipes';
+    buttons.prepend(button);
+}
+
+/**
+ * Add buttons to every rendered message
+ */
+function addAllMessageButtons() {
+    document.querySelectorAll('#chat .mes[mesid]').forEach(el => {
+        const messageId = Number(el.getAttribute('mesid'));
+        addMessageButton(messageId);
+        addCompareButton(messageId);
+    });
+}
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+
+function setupSnapshotTracking() {
+    // Fresh snapshot per generation - stays empty if nothing fires
+    // Quiet prompts and dry runs produce no chat message, so the pending one is kept
+    eventSource.on(event_types.GENERATION_STARTED, () => {
+        if (!shouldUpdatePanel()) return;
+        generationStartedAt = Date.now();
+        pendingSnapshot = buildSnapshot([]);
+    });
+
+    eventSource.on(event_types.MESSAGE_RECEIVED, async (messageId) => {
+        if (!(extension_settings.TrackHare?.saveSnapshots ?? true)) return;
+        if (!pendingSnapshot) return;
+
+        const message = chat[messageId];
+        if (!message || message.is_user) return;
+
+        const snapshot = await pendingSnapshot;
+        pendingSnapshot = null;
+
+        // A newer generation started while this one was finishing - its lore isn't for this message
+        if (!isGenerationOpen(snapshot.generationId)) return;
+
+        const swipeId = message.swipe_id ?? 0;
+        const trace = {
+            ...snapshot,
+            swipeId,
+            itemization: captureItemizationTotals(snapshot.generationId),
+            vectHare: captureVectHareChunks(snapshot.generationId),
+        };
+
+        message.extra = message.extra || {};
+        message.extra[SNAPSHOT_KEY] = trace;
+
+        // ST swaps message.extra with swipe_info[id].extra when swiping - keep each swipe's own copy
+        const swipeInfo = message.swipe_info?.[swipeId];
+        if (swipeInfo) {
+            swipeInfo.extra = swipeInfo.extra || {};
+            swipeInfo.extra[SNAPSHOT_KEY] = trace;
+        }
+
+        saveChatDebounced();
+        addMessageButton(messageId);
+        addCompareButton(messageId);
+    });
+
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (messageId) => {
+        addMessageButton(messageId);
+        addCompareButton(messageId);
+    });
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        uiState.snapshotView = null;
+        setTimeout(addAllMessageButtons, 0);
+    });
+    if (event_types.MORE_MESSAGES_LOADED) {
+        eventSource.on(event_types.MORE_MESSAGES_LOADED, addAllMessageButtons);
+    }
+
+    document.addEventListener('click', (e) => {
+        const snapshotButton = e.target.closest?.('.ck-snapshot-button');
+        if (snapshotButton) showSnapshotForMessage(Number(snapshotButton.closest('.mes')?.getAttribute('mesid')));
+
+        const compareButton = e.target.closest?.('.ck-swipe-compare-button');
+        if (compareButton) showSwipeComparison(Number(compareButton.closest('.mes')?.getAttribute('mesid')));
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Capture the activation snapshot for the generation in progress
+ * Called after entries are classified, so trigger reasons are final
+ * @param {Array<Object>} entryList - Activated entries
+ */
+export function captureActivationSnapshot(entryList) {
+    pendingSnapshot = buildSnapshot(entryList);
+}
+
+/**
+ * Get the stored snapshot for a message
+ * @param {number} messageId
+ * @returns {Object|null} { version, timestamp, entries: [{ world, uid, name, reason, level, tokens, keyword }] }
+ */
+export function getMessageSnapshot(messageId) {
+    return chat[messageId]?.extra?.[SNAPSHOT_KEY] || null;
+}
+
+/**
+ * Get the stored trace for every swipe of a message that has one
+ * @param {number} messageId
+ * @returns {Array<{ swipeId: number, trace: Object, text: string }>}
+ */
+export function getSwipeTraces(messageId) {
+    const message = chat[messageId];
+    if (!message) return [];
+
+    const swipeCount = Math.max(message.swipes?.length || 0, 1);
+    const traces = [];
+    for (let swipeId = 0; swipeId < swipeCount; swipeId++) {
+        const extra = swipeId === (message.swipe_id ?? 0) ? message.extra : message.swipe_info?.[swipeId]?.extra;
+        const trace = extra?.[SNAPSHOT_KEY];
+        if (!trace) continue;
+        traces.push({ swipeId, trace, text: message.swipes?.[swipeId] ?? message.mes ?? '' });
+    }
+    return traces;
+}
+
+/**
+ * Find which messages activated an entry
+ * @param {string} world
+ * @param {number} uid
+ * @returns {Array<number>} Message ids, oldest first
+ */
+export function getMessagesForEntry(world, uid) {
+    const key = getEntryKey(world, uid);
+    return chat
+        .map((message, id) => message?.extra?.[SNAPSHOT_KEY]?.entries.some(e => getEntryKey(e.world, e.uid) === key) ? id : -1)
+        .filter(id => id !== -1);
+}
+
+/**
+ * Open the panel showing what fired as of a given message
+ * @param {number} messageId
+ */
+export async function showSnapshotForMessage(messageId) {
+    const snapshot = getMessageSnapshot(messageId);
+    if (!snapshot) {
+        toastr.info('No snapshot stored for this message', 'TrackHare');
+        return;
+    }
+
+    uiState.snapshotView = { messageId, timestamp: snapshot.timestamp };
+    updatePanel(await hydrateSnapshot(snapshot));
+    openPanel();
+}
+
+/**
+ * Initialize message snapshots
+ */
+export function initMessageSnapshots() {
+    setupSnapshotTracking();
+    console.log('[TrackHare] Message snapshots initialized');
+}
@@ -0,0 +1,292 @@
+// =============================================================================
+// NEAR-MISS ANALYSIS - "Why didn't it fire?"
+// Explains why entries in the loaded lorebooks stayed inactive
+// =============================================================================
+
+import { event_types, eventSource } from '../../../../../script.js';
+import { extension_settings } from '../../../../extensions.js';
+import { getScanOutcome, getBudgetOverflow, getProbabilityResult, getScannedEntries, wasEntryActivated, getEntryKey, resolveEntryIdentity, isPanelScanEvent } from './trigger-tracking.js';
+import { getGroupContestForEntry } from './group-contests.js';
+import { wasEntryBudgetCut } from './budget-overflow.js';
+import { nearMissReasons, selectiveLogicNames } from './constants.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Near-miss explanations from the last completed scan */
+let lastNearMisses = [];
+
+/** Whether the near-miss section is expanded in the panel (survives re-renders) */
+let sectionExpanded = false;
+
+/** Display order - entries that matched but got dropped are the interesting ones */
+const REASON_PRIORITY = [
+    'budget', 'probability', 'group_loser', 'secondary_logic', 'cooldown', 'delay',
+    'recursion', 'suppressed', 'filtered', 'unknown', 'disabled', 'no_keys', 'no_key_match',
+];
+
+// =============================================================================
+// REASON RESOLUTION
+// =============================================================================
+
+/**
+ * Work out the most specific reason an entry stayed inactive
+ */
+function resolveReason(entry, outcome) {
+    if (entry.disable === true) return 'disabled';
+
+    // Explicit rejection seen in the [WI] logs wins over anything we infer
+    if (outcome?.outcome) return outcome.outcome;
+
+    // Activated in the scan but missing from the prompt once the budget filled up
+    if (wasEntryBudgetCut(entry)) return 'budget';
+
+    if (entry.decorators?.includes('@@dont_activate')) return 'suppressed';
+
+    // Matched (or always-on) but never made it into the prompt
+    if (outcome?.matched || entry.constant === true) {
+        const overflow = getBudgetOverflow();
+        if (overflow && (overflow.loop == null || (outcome?.matchedLoop ?? 0) >= overflow.loop)) return 'budget';
+        // Only a recorded failed roll counts - a chance under 100% alone proves nothing
+        if (getProbabilityResult(entry)?.current?.outcome === 'failed') return 'probability';
+        if (entry.group) return 'group_loser';
+        return 'unknown';
+    }
+
+    const hasKeys = entry.key?.some(k => k?.trim());
+    if (!hasKeys) return 'no_keys';
+    return 'no_key_match';
+}
+
+/**
+ * Human-readable detail for a near-miss reason
+ */
+function describeReason(entry, reason) {
+    const primaryCount = entry.key?.filter(k => k?.trim()).length || 0;
+    const secondaryCount = entry.keysecondary?.filter(k => k?.trim()).length || 0;
+
+    switch (reason) {
+        case 'no_key_match':
+            return `None of ${primaryCount} primary key${primaryCount === 1 ? '' : 's'} found within scan depth ${entry.scanDepth ?? '(global)'}`;
+        case 'secondary_logic':
+            return `Primary key matched, but ${selectiveLogicNames[entry.selectiveLogic ?? 0] || 'AND ANY'} check on ${secondaryCount} secondary key${secondaryCount === 1 ? '' : 's'} failed`;
+        case 'probability': {
+            const stats = getProbabilityResult(entry)?.stats;
+            const rate = stats?.rolls ? ` (passing ${stats.passed}/${stats.rolls} so far)` : '';
+            return `Matched, but lost the ${entry.probability ?? 100}% probability roll${rate}`;
+        }
+        case 'group_loser': {
+            const contest = getGroupContestForEntry(entry);
+            const winner = contest?.candidates.find(c => c.result === 'won');
+            return winner
+                ? `Matched, but lost inclusion group '${contest.group}' to ${winner.name} (${contest.methodLabel})`
+                : `Matched, but lost inclusion group '${entry.group}'`;
+        }
+        case 'cooldown':
+            return entry.cooldown ? `Cooldown of ${entry.cooldown} messages still running` : nearMissReasons.cooldown.description;
+        case 'delay':
+            return entry.delay ? `Delayed until the chat has ${entry.delay} messages` : nearMissReasons.delay.description;
+        case 'recursion':
+            if (entry.delayUntilRecursion) {
+                const level = typeof entry.delayUntilRecursion === 'number' && entry.delayUntilRecursion > 1 ? ` level ${entry.delayUntilRecursion}` : '';
+                return `Delayed until recursion${level}`;
+            }
+            return 'Excluded from recursion scans';
+        case 'budget': {
+            const overflow = getBudgetOverflow();
+            return overflow?.budget ? `Matched, but cut after the ${overflow.budget}-token WI budget was reached` : nearMissReasons.budget.description;
+        }
+        default:
+            return nearMissReasons[reason]?.description || nearMissReasons.unknown.description;
+    }
+}
+
+/**
+ * Build the near-miss explanation for a single inactive entry
+ */
+function explainEntry(entry) {
+    const outcome = getScanOutcome(entry);
+    const reason = resolveReason(entry, outcome);
+
+    return {
+        key: getEntryKey(entry.world, entry.uid),
+        uid: entry.uid,
+        world: entry.world,
+        name: entry.comment || entry.key?.[0] || `Entry #${entry.uid}`,
+        reason,
+        detail: describeReason(entry, reason),
+        matched: !!outcome?.matched,
+        loop: outcome?.loop ?? outcome?.matchedLoop ?? null,
+        logLine: outcome?.detail || null,
+        entry,
+    };
+}
+
+/**
+ * Rebuild near-miss explanations once the scan has finished
+ */
+function finalizeNearMisses() {
+    lastNearMisses = [...getScannedEntries().values()]
+        .filter(entry => !wasEntryActivated(entry))
+        .map(explainEntry)
+        .sort((a, b) => REASON_PRIORITY.indexOf(a.reason) - REASON_PRIORITY.indexOf(b.reason));
+
+    console.debug(`[TrackHare] Near-miss analysis: ${lastNearMisses.length} inactive entries`);
+}
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+
+/**
+ * Rebuild near-miss explanations when the panel's scan finishes
+ * Runs after trigger tracking's handler, which collects the scanned entries
+ */
+function setupScanTracking() {
+    eventSource.on(event_types.WORLDINFO_SCAN_DONE, (args) => {
+        if (args.state?.next === 0 && isPanelScanEvent(args)) {
+            finalizeNearMisses();
+        }
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get near-miss explanations from the last scan
+ * @param {string} [reason] - Only return entries with this reason
+ * @returns {Array<Object>}
+ */
+export function getNearMisses(reason = null) {
+    if (!reason) return lastNearMisses;
+    return lastNearMisses.filter(miss => miss.reason === reason);
+}
+
+/**
+ * Explain why a specific entry did not activate
+ * @param {Object|string|number} worldOrEntry - Entry, world name, world§§§uid key, or legacy bare uid
+ * @param {number} [uid]
+ * @returns {Object|null} Explanation, or null if the entry activated or wasn't scanned
+ */
+export function explainInactiveEntry(worldOrEntry, uid) {
+    const identity = resolveEntryIdentity(worldOrEntry, uid);
+    if (wasEntryActivated(identity.world, identity.uid)) return null;
+    return lastNearMisses.find(miss => miss.uid === identity.uid && (identity.world === undefined || miss.world === identity.world)) || null;
+}
+
+/**
+ * Count near-misses per reason
+ * @returns {Object} reason -> count
+ */
+export function getNearMissSummary() {
+    return lastNearMisses.reduce((acc, miss) => {
+        acc[miss.reason] = (acc[miss.reason] || 0) + 1;
+        return acc;
+    }, {});
+}
+
+/**
+ * Initialize near-miss tracking
+ */
+export function initNearMissTracking() {
+    setupScanTracking();
+    console.log('[TrackHare] Near-miss analysis initialized');
+}
+
+// =============================================================================
+// UI RENDERING
+// =============================================================================
+
+/**
+ * Render the "Why didn't it fire?" section into content container
+ * @param {HTMLElement} content - Container to append to
+ */
+export function renderNearMissSection(content) {
+    if (!(extension_settings.TrackHare?.showNearMisses ?? true)) return;
+    if (!lastNearMisses.length) return;
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'ck-world-header ck-nearmiss-header';
+    header.innerHTML = `
+        <div><span style="font-size: 14px;">🔎</span></div>
+        <span>Why didn't it fire?</span>
+        <span class="ck-nearmiss-toggle">${sectionExpanded ? '▼' : '▶'}</span>
+        <span class="ck-header__badge ck-nearmiss-badge" style="margin-left: auto;">${lastNearMisses.length}</span>
+    `;
+    content.appendChild(header);
+
+    const container = document.createElement('div');
+    container.className = 'ck-entries-container ck-nearmiss-container';
+    content.appendChild(container);
+
+    const renderBody = () => {
+        container.innerHTML = '';
+        header.querySelector('.ck-nearmiss-toggle').textContent = sectionExpanded ? '▼' : '▶';
+        if (!sectionExpanded) return;
+
+        // Reason summary chips
+        const summary = document.createElement('div');
+        summary.className = 'ck-summary ck-nearmiss-summary';
+        summary.innerHTML = Object.entries(getNearMissSummary())
+            .sort((a, b) => REASON_PRIORITY.indexOf(a[0]) - REASON_PRIORITY.indexOf(b[0]))
+            .map(([reason, count]) => {
+                const display = nearMissReasons[reason] || nearMissReasons.unknown;
+                return `<span class="ck-summary__tag" title="${display.description}">${display.emoji} ${display.text} ${count}</span>`;
+            })
+            .join('');
+        container.appendChild(summary);
+
+        lastNearMisses.forEach(miss => container.appendChild(renderNearMissEntry(miss)));
+    };
+
+    header.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sectionExpanded = !sectionExpanded;
+        renderBody();
+    });
+
+    renderBody();
+}
+
+/**
+ * Render a single near-miss row
+ * @param {Object} miss - Near-miss explanation
+ * @returns {HTMLElement}
+ */
+function renderNearMissEntry(miss) {
+    const display = nearMissReasons[miss.reason] || nearMissReasons.unknown;
+
+    const el = document.createElement('div');
+    el.className = 'ck-nearmiss-entry';
+    el.dataset.reason = miss.reason;
+    el.style.borderLeftColor = display.color;
+
+    const topRow = document.createElement('div');
+    topRow.className = 'ck-nearmiss-entry__top-row';
+
+    const title = document.createElement('span');
+    title.className = 'ck-nearmiss-entry__title';
+    title.textContent = miss.name;
+    topRow.appendChild(title);
+
+    const tag = document.createElement('span');
+    tag.className = 'ck-summary__tag';
+    tag.style.cssText = `background: ${display.color}; color: white;`;
+    tag.textContent = `${display.emoji} ${display.text}`;
+    tag.title = display.description;
+    topRow.appendChild(tag);
+
+    el.appendChild(topRow);
+
+    const detail = document.createElement('div');
+    detail.className = 'ck-nearmiss-entry__detail';
+    detail.textContent = `${miss.world || 'Unknown'} • ${miss.detail}`;
+    if (miss.logLine) detail.title = miss.logLine;
+    el.appendChild(detail);
+
+    return el;
+}
@@ -0,0 +1,194 @@
+// =============================================================================
+// PANEL FILTERS - Search and filter bar for the active entries list
+// Free text over title, keys and content; chips by trigger reason, world,
+// recursion level and position; and a "new this turn" toggle.
+// State lives in uiState.panelFilters so it survives re-renders
+// =============================================================================
+
+import { uiState } from './ui-state.js';
+import { getEntryKey } from './trigger-tracking.js';
+import { getPreviousPanelTrace } from './generation-trace.js';
+import { getStrategy } from './main-panel.js';
+import { getEntryLevel } from './entry-grouping.js';
+import { reasonDisplay, positionNames } from './constants.js';
+
+/** Chip groups - state key, label, and how to read the value off an entry */
+const FACETS = [
+    { key: 'reasons', label: 'Reason', value: entry => getStrategy(entry), text: reason => reasonDisplay[reason] ? `${reasonDisplay[reason].emoji} ${reasonDisplay[reason].text}` : reason },
+    { key: 'worlds', label: 'World', value: entry => entry.world || 'Unknown', text: world => world },
+    { key: 'levels', label: 'Level', value: entry => String(getEntryLevel(entry)), text: level => `L${level}` },
+    { key: 'positions', label: 'Position', value: entry => String(entry.position ?? ''), text: position => positionNames[position] || 'Unknown' },
+];
+
+// =============================================================================
+// FILTERING
+// =============================================================================
+
+/**
+ * Keys that were active in the panel's previous turn - null if there's nothing to compare to
+ */
+function getPreviousKeys() {
+    if (uiState.snapshotView) return null;
+    const previous = getPreviousPanelTrace();
+    return previous ? new Set(previous.entries.map(e => e.key)) : null;
+}
+
+/**
+ * Whether an entry's title, keys or content contain the search text
+ */
+function matchesSearch(entry, search) {
+    const haystack = [
+        entry.comment,
+        ...(entry.key || []),
+        ...(entry.keysecondary || []),
+        entry.content,
+    ].filter(Boolean).join('\n').toLowerCase();
+    return haystack.includes(search);
+}
+
+/**
+ * Selected chips that exist in this list - stale ones from an earlier turn don't hide everything
+ */
+function getEffectiveSelections(entryList) {
+    const filters = uiState.panelFilters;
+    return FACETS.map(facet => {
+        const available = new Set(entryList.map(facet.value));
+        return { facet, selected: new Set(filters[facet.key].filter(value => available.has(value))) };
+    }).filter(({ selected }) => selected.size);
+}
+
+/**
+ * Apply the panel filters to an entry list
+ * @param {Array<Object>} entryList
+ * @returns {Array<Object>} Entries that pass every filter
+ */
+export function filterPanelEntries(entryList) {
+    const filters = uiState.panelFilters;
+    const search = filters.search.trim().toLowerCase();
+    const selections = getEffectiveSelections(entryList);
+    const previousKeys = filters.newOnly ? getPreviousKeys() : null;
+
+    return entryList.filter(entry =>
+        (!search || matchesSearch(entry, search))
+        && selections.every(({ facet, selected }) => selected.has(facet.value(entry)))
+        && (!previousKeys || !previousKeys.has(getEntryKey(entry.world, entry.uid))),
+    );
+}
+
+/**
+ * Whether any filter is narrowing the list
+ * @returns {boolean}
+ */
+export function hasActivePanelFilters() {
+    const filters = uiState.panelFilters;
+    return !!filters.search.trim() || filters.newOnly || FACETS.some(facet => filters[facet.key].length);
+}
+
+// =============================================================================
+// FILTER BAR
+// =============================================================================
+
+/**
+ * Build the sticky filter bar
+ * @param {Array<Object>} entryList - Everything the panel could show
+ * @param {Function} onChange - Called with the filtered list whenever a filter changes
+ * @returns {HTMLElement}
+ */
+export function renderFilterBar(entryList, onChange) {
+    const filters = uiState.panelFilters;
+
+    const bar = document.createElement('div');
+    bar.className = 'ck-filter-bar';
+    bar.addEventListener('click', (e) => e.stopPropagation());
+
+    // Search row
+    const searchRow = document.createElement('div');
+    searchRow.className = 'ck-filter-bar__row';
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'ck-filter-bar__search text_pole';
+    search.placeholder = 'Search title, keys, content…';
+    search.value = filters.search;
+
+    const newToggle = document.createElement('button');
+    newToggle.className = 'ck-filter-chip';
+    newToggle.textContent = '🆕 New';
+    newToggle.title = uiState.snapshotView ? 'Not available for snapshots' : 'Only entries that were not active the turn before';
+    newToggle.disabled = !!uiState.snapshotView;
+    newToggle.classList.toggle('ck-filter-chip--active', filters.newOnly && !uiState.snapshotView);
+
+    const count = document.createElement('span');
+    count.className = 'ck-filter-bar__count';
+
+    const clear = document.createElement('button');
+    clear.className = 'ck-filter-bar__clear';
+    clear.textContent = '✕';
+    clear.title = 'Clear all filters';
+
+    searchRow.append(search, newToggle, count, clear);
+    bar.appendChild(searchRow);
+
+    // Chip rows - only facets with a choice to make
+    const chips = [];
+    for (const facet of FACETS) {
+        const values = [...new Set(entryList.map(facet.value))].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+        if (values.length < 2) continue;
+
+        const row = document.createElement('div');
+        row.className = 'ck-filter-bar__row ck-filter-bar__chips';
+
+        const label = document.createElement('span');
+        label.className = 'ck-filter-bar__label';
+        label.textContent = facet.label;
+        row.appendChild(label);
+
+        for (const value of values) {
+            const chip = document.createElement('button');
+            chip.className = 'ck-filter-chip';
+            chip.textContent = `${facet.text(value)} ${entryList.filter(entry => facet.value(entry) === value).length}`;
+            chip.classList.toggle('ck-filter-chip--active', filters[facet.key].includes(value));
+            chip.addEventListener('click', () => {
+                const selected = filters[facet.key];
+                filters[facet.key] = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+                chip.classList.toggle('ck-filter-chip--active', filters[facet.key].includes(value));
+                apply();
+            });
+            chips.push(chip);
+            row.appendChild(chip);
+        }
+        bar.appendChild(row);
+    }
+
+    function apply() {
+        const filtered = filterPanelEntries(entryList);
+        count.textContent = `${filtered.length}/${entryList.length}`;
+        clear.style.visibility = hasActivePanelFilters() ? 'visible' : 'hidden';
+        onChange(filtered);
+    }
+
+    search.addEventListener('input', () => {
+        filters.search = search.value;
+        apply();
+    });
+    newToggle.addEventListener('click', () => {
+        filters.newOnly = !filters.newOnly;
+        newToggle.classList.toggle('ck-filter-chip--active', filters.newOnly);
+        apply();
+    });
+    clear.addEventListener('click', () => {
+        filters.search = '';
+        filters.newOnly = false;
+        FACETS.forEach(facet => { filters[facet.key] = []; });
+        search.value = '';
+        [newToggle, ...chips].forEach(chip => chip.classList.remove('ck-filter-chip--active'));
+        apply();
+    });
+
+    // First pass without re-rendering - the caller renders the initial list
+    const filtered = filterPanelEntries(entryList);
+    count.textContent = `${filtered.length}/${entryList.length}`;
+    clear.style.visibility = hasActivePanelFilters() ? 'visible' : 'hidden';
+
+    return bar;
+}
@@ -6,14 +6,19 @@
 
 import { getDeepTriggerInfo, getEnhancedTriggerDetails } from './trigger-tracking.js';
 import { uiState } from './ui-state.js';
-import { world_info_case_sensitive, world_info_match_whole_words, openWorldInfoEditor } from '../../../../../scripts/world-info.js';
+import { openWorldInfoEditor } from '../../../../../scripts/world-info.js';
 import { selectiveLogicNames } from './constants.js';
+import { entryMatchesContent } from './key-matching.js';
+import { escapeHtml } from './html.js';
 
 // =============================================================================
 // NAVIGATION HELPERS
 // =============================================================================
 
-function openLorebookEntry(worldName, entryName) {
+/**
+ * Open a lorebook in ST's World Info editor, filtered to one entry
+ */
+export function openLorebookEntry(worldName, entryName) {
     openWorldInfoEditor(worldName);
     setTimeout(() => {
         const searchInput = document.querySelector('#world_info_search');
@@ -24,126 +29,6 @@ function openLorebookEntry(worldName, entryName) {
     }, 300);
 }
 
-// =============================================================================
-// KEY MATCHING (adapted from ST's WorldInfoBuffer.matchKeys)
-// =============================================================================
-
-function parseRegexFromString(input) {
-    const match = input.match(/^\/([\w\W]+?)\/([gimsuy]*)$/);
-    if (!match) return null;
-    let [, pattern, flags] = match;
-    if (pattern.match(/(^|[^\\])\//)) return null;
-    pattern = pattern.replace('\\/', '/');
-    try {
-        return new RegExp(pattern, flags);
-    } catch (e) {
-        return null;
-    }
-}
-
-function escapeRegex(string) {
-    return string.replace(/[/\-\\^$*+?.()|[\]{}]/g, '\\$&');
-}
-
-function transformString(str, entry) {
-    const caseSensitive = entry.caseSensitive ?? world_info_case_sensitive;
-    return caseSensitive ? str : str.toLowerCase();
-}
-
-/**
- * Match a single key against content, respecting entry settings
- */
-function matchKey(haystack, needle, entry) {
-    if (!needle || !haystack) return false;
-
-    const keyRegex = parseRegexFromString(needle);
-    if (keyRegex) return keyRegex.test(haystack);
-
-    const transformedHaystack = transformString(haystack, entry);
-    const transformedNeedle = transformString(needle, entry);
-    const matchWholeWords = entry.matchWholeWords ?? world_info_match_whole_words;
-
-    if (matchWholeWords) {
-        const keyWords = transformedNeedle.split(/\s+/);
-        if (keyWords.length > 1) {
-            return transformedHaystack.includes(transformedNeedle);
-        } else {
-            const regex = new RegExp(`(?:^|\\W)(${escapeRegex(transformedNeedle)})(?:$|\\W)`);
-            return regex.test(transformedHaystack);
-        }
-    } else {
-        return transformedHaystack.includes(transformedNeedle);
-    }
-}
-
-/**
- * Check if ANY primary key matches
- */
-function matchPrimaryKeys(haystack, entry) {
-    const keys = entry.key || [];
-    for (const key of keys) {
-        if (key?.trim() && matchKey(haystack, key.trim(), entry)) {
-            return { matches: true, matchedKey: key.trim() };
-        }
-    }
-    return { matches: false, matchedKey: null };
-}
-
-/**
- * Check secondary keys with selective logic
- * ST uses: 0=AND ANY, 1=NOT ALL, 2=NOT ANY, 3=AND ALL
- */
-function checkSecondaryKeys(haystack, entry) {
-    const secondaryKeys = entry.keysecondary || [];
-    if (!secondaryKeys.length || !entry.selective) {
-        return { passes: true, logic: null, matchedKeys: [] };
-    }
-
-    const logic = entry.selectiveLogic ?? 0;
-    const matchResults = secondaryKeys.map(key => ({
-        key: key?.trim(),
-        matched: key?.trim() ? matchKey(haystack, key.trim(), entry) : false,
-    }));
-
-    const matchedKeys = matchResults.filter(r => r.matched).map(r => r.key);
-    const anyMatched = matchResults.some(r => r.matched);
-    const allMatched = matchResults.every(r => r.matched);
-
-    let passes = false;
-    switch (logic) {
-        case 0: passes = anyMatched; break;      // AND ANY
-        case 1: passes = !allMatched; break;     // NOT ALL
-        case 2: passes = !anyMatched; break;     // NOT ANY
-        case 3: passes = allMatched; break;      // AND ALL
-    }
-
-    return {
-        passes,
-        logic: selectiveLogicNames[logic] || 'AND ANY',
-        matchedKeys,
-    };
-}
-
-/**
- * Full key match check - primary + secondary logic
- */
-function entryMatchesContent(haystack, targetEntry) {
-    // Check primary keys first
-    const primary = matchPrimaryKeys(haystack, targetEntry);
-    if (!primary.matches) return { matches: false };
-
-    // Check secondary keys if selective
-    const secondary = checkSecondaryKeys(haystack, targetEntry);
-    if (!secondary.passes) return { matches: false };
-
-    return {
-        matches: true,
-        matchedKey: primary.matchedKey,
-        secondaryLogic: secondary.logic,
-        matchedSecondaryKeys: secondary.matchedKeys,
-    };
-}
-
 // =============================================================================
 // RECURSION SETTINGS ANALYSIS
 // =============================================================================
@@ -223,7 +108,7 @@ function buildTriggerData() {
 
         // Check each potential source
         for (const source of entries) {
-            if (source.uid === target.uid) continue;
+            if (source.uid === target.uid && source.world === target.world) continue;
 
             // Check recursion settings
             const canTrig = canTrigger(source.originalEntry, target.originalEntry);
@@ -238,6 +123,7 @@ function buildTriggerData() {
                     name: source.name,
                     world: source.world,
                     matchedKey: matchResult.matchedKey,
+                    offset: matchResult.offset,
                     secondaryLogic: matchResult.secondaryLogic,
                     matchedSecondaryKeys: matchResult.matchedSecondaryKeys,
                 });
@@ -272,15 +158,6 @@ function buildTriggerData() {
 // RENDERING
 // =============================================================================
 
-function escapeHtml(str) {
-    if (!str) return '';
-    return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;');
-}
-
 function getTriggerReasonBadge(reason) {
     const badges = {
         constant: { icon: '🔵', title: 'Always active' },
@@ -294,6 +171,8 @@ function getTriggerReasonBadge(reason) {
         secondary_and_all: { icon: '🟡', title: 'Selective (AND ALL)' },
         secondary_not_any: { icon: '🟡', title: 'Selective (NOT ANY)' },
         secondary_not_all: { icon: '🟡', title: 'Selective (NOT ALL)' },
+        group_priority: { icon: '👥', title: 'Group winner (priority)' },
+        group_random: { icon: '👥', title: 'Group winner (roll)' },
         activated: { icon: '✓', title: 'Activated' },
     };
     return badges[reason] || { icon: '❓', title: 'Unknown' };
@@ -0,0 +1,167 @@
+// =============================================================================
+// SOURCE ATTRIBUTION - Which scan source contained the matched key
+// Chat within scan depth, persona, character card fields, scenario, depth prompt
+// or Author's Note - following each entry's own "match" flags
+// =============================================================================
+
+import { world_info_depth, world_info_include_names } from '../../../../../scripts/world-info.js';
+import { power_user } from '../../../../../scripts/power-user.js';
+import { findKey } from './key-matching.js';
+import { getEntryKey } from './trigger-tracking.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Attribution from the last classification - world§§§uid -> attribution */
+const attributions = new Map();
+
+/** Trigger reason for each non-chat source */
+const SOURCE_REASONS = {
+    persona: 'persona',
+    character_description: 'character',
+    character_personality: 'character',
+    character_depth_prompt: 'character',
+    creator_notes: 'character',
+    scenario: 'scenario',
+    authors_note: 'authors_note',
+};
+
+/** Human-readable source names */
+export const SOURCE_LABELS = {
+    chat: 'Chat message',
+    persona: 'Persona description',
+    character_description: 'Character description',
+    character_personality: 'Character personality',
+    character_depth_prompt: 'Character depth prompt',
+    creator_notes: 'Creator notes',
+    scenario: 'Scenario',
+    authors_note: 'Author\'s Note',
+};
+
+// =============================================================================
+// SCAN SOURCES
+// =============================================================================
+
+/**
+ * Chat messages inside the entry's scan depth, newest first (same order ST scans them)
+ * System messages are skipped and don't count toward the depth; with "Include Names"
+ * on, each text starts with the speaker's name, as ST scans it
+ * @param {Object} entry
+ * @param {Array<Object>} chat
+ * @returns {Array<Object>} [{ source: 'chat', text, prefixLength, messageIndex, speaker }]
+ */
+export function getChatScanWindow(entry, chat) {
+    const depth = entry.scanDepth ?? world_info_depth;
+    const sources = [];
+
+    for (let index = chat.length - 1; index >= 0 && sources.length < depth; index--) {
+        const message = chat[index];
+        if (!message || message.is_system) continue;
+
+        const prefix = world_info_include_names && message.name ? `${message.name}: ` : '';
+        sources.push({
+            source: 'chat',
+            text: `${prefix}${message.mes || ''}`,
+            prefixLength: prefix.length,
+            messageIndex: index,
+            speaker: message.name || (message.is_user ? 'User' : 'Character'),
+        });
+    }
+    return sources;
+}
+
+/**
+ * Non-chat sources the entry opted into
+ * ST names the flags match*; older exports used scan*
+ */
+function getExtraSources(entry, contextData) {
+    const context = contextData.context;
+    const character = context?.characters?.[context?.characterId];
+    const sources = [];
+
+    const add = (source, enabled, text) => {
+        if (enabled && text) sources.push({ source, text, prefixLength: 0 });
+    };
+
+    add('persona', entry.matchPersonaDescription ?? entry.scanPersona, power_user?.persona_description);
+    add('character_description', entry.matchCharacterDescription ?? entry.scanCharacter, character?.description);
+    add('character_personality', entry.matchCharacterPersonality ?? entry.scanCharacter, character?.personality);
+    add('character_depth_prompt', entry.matchCharacterDepthPrompt, character?.data?.extensions?.depth_prompt?.prompt);
+    add('creator_notes', entry.matchCreatorNotes, character?.data?.creator_notes);
+    add('scenario', entry.matchScenario ?? entry.scanScenario, character?.scenario);
+
+    // Author's Note is scanned for every entry when its own "scan" flag is on
+    add('authors_note', contextData.isAuthorNoteScanEnabled, contextData.authorNoteContent);
+
+    return sources;
+}
+
+/**
+ * Find every source where one of the entry's primary keys appears
+ */
+function findKeyInSources(entry, sources) {
+    const keys = (entry.key || []).map(k => k?.trim()).filter(Boolean);
+    const matches = [];
+
+    for (const source of sources) {
+        for (const key of keys) {
+            const offset = findKey(source.text, key, entry);
+            if (offset === -1) continue;
+
+            matches.push({
+                source: source.source,
+                label: SOURCE_LABELS[source.source],
+                matchedKey: key,
+                offset: offset - source.prefixLength,
+                inSpeakerName: offset < source.prefixLength,
+                messageIndex: source.messageIndex ?? null,
+                speaker: source.speaker ?? null,
+            });
+            break;
+        }
+    }
+    return matches;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Work out which scan source contained an entry's matched key
+ * Chat matches come first (newest message first), then the entry's extra sources
+ * @param {Object} entry
+ * @param {Object} contextData - { context, chat, isAuthorNoteScanEnabled, authorNoteContent, record }
+ *   record: false works the attribution out without keeping it for getTriggerSourceAttribution
+ * @returns {Object|null} { source, label, matchedKey, offset, messageIndex, speaker, reason, matches }
+ */
+export function attributeTriggerSource(entry, contextData = {}) {
+    const sources = [...getChatScanWindow(entry, contextData.chat || []), ...getExtraSources(entry, contextData)];
+    const matches = findKeyInSources(entry, sources);
+    if (!matches.length) return null;
+
+    const attribution = {
+        ...matches[0],
+        reason: SOURCE_REASONS[matches[0].source] || null,
+        matches,
+    };
+    if (contextData.record !== false) attributions.set(getEntryKey(entry.world, entry.uid), attribution);
+    return attribution;
+}
+
+/**
+ * Get the attribution recorded for an entry during the last classification
+ * @param {Object} entry
+ * @returns {Object|null}
+ */
+export function getTriggerSourceAttribution(entry) {
+    return attributions.get(getEntryKey(entry.world, entry.uid)) || null;
+}
+
+/**
+ * Forget attributions from the previous generation
+ */
+export function clearTriggerSourceAttributions() {
+    attributions.clear();
+}
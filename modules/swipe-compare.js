@@ -0,0 +1,245 @@
+// =============================================================================
+// SWIPE COMPARE - Side-by-side lore diff between swipes of one message
+// Answers "did this swipe get different lore, or is it just sampling?"
+// =============================================================================
+
+import { getSwipeTraces } from './message-snapshots.js';
+import { getEntryKey } from './trigger-tracking.js';
+import { strategy } from './constants.js';
+import { escapeHtml } from './html.js';
+
+// =============================================================================
+// DIFFING
+// =============================================================================
+
+/**
+ * Sum of entry token costs in a trace
+ */
+function totalEntryTokens(trace) {
+    return trace.entries.reduce((sum, e) => sum + (e.tokens || 0), 0);
+}
+
+/**
+ * Diff two swipe traces
+ */
+function diffTraces(a, b) {
+    const entriesA = new Map(a.entries.map(e => [getEntryKey(e.world, e.uid), e]));
+    const entriesB = new Map(b.entries.map(e => [getEntryKey(e.world, e.uid), e]));
+
+    const onlyA = [...entriesA].filter(([key]) => !entriesB.has(key)).map(([, e]) => e);
+    const onlyB = [...entriesB].filter(([key]) => !entriesA.has(key)).map(([, e]) => e);
+    const shared = [...entriesA].filter(([key]) => entriesB.has(key)).map(([key, e]) => ({
+        ...e,
+        reasonB: entriesB.get(key).reason,
+        reasonChanged: e.reason !== entriesB.get(key).reason,
+    }));
+
+    const categories = new Set([
+        ...Object.keys(a.itemization?.categories || {}),
+        ...Object.keys(b.itemization?.categories || {}),
+    ]);
+    const itemization = [...categories].map(name => ({
+        name,
+        a: a.itemization?.categories?.[name] ?? null,
+        b: b.itemization?.categories?.[name] ?? null,
+    }));
+
+    const hashesA = new Set((a.vectHare || []).map(c => c.hash));
+    const hashesB = new Set((b.vectHare || []).map(c => c.hash));
+
+    return {
+        onlyA,
+        onlyB,
+        shared,
+        loreChanged: onlyA.length > 0 || onlyB.length > 0,
+        tokens: {
+            a: totalEntryTokens(a),
+            b: totalEntryTokens(b),
+            promptA: a.itemization?.totalTokens ?? null,
+            promptB: b.itemization?.totalTokens ?? null,
+        },
+        itemization,
+        vectHare: {
+            onlyA: (a.vectHare || []).filter(c => !hashesB.has(c.hash)),
+            onlyB: (b.vectHare || []).filter(c => !hashesA.has(c.hash)),
+            shared: (a.vectHare || []).filter(c => hashesB.has(c.hash)).length,
+        },
+    };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Compare the traces of two swipes of the same message
+ * @param {number} messageId
+ * @param {number} swipeA
+ * @param {number} swipeB
+ * @returns {Object|null} Diff, or null if either swipe has no trace
+ */
+export function compareSwipeTraces(messageId, swipeA, swipeB) {
+    const traces = getSwipeTraces(messageId);
+    const a = traces.find(t => t.swipeId === swipeA);
+    const b = traces.find(t => t.swipeId === swipeB);
+    if (!a || !b) return null;
+    return diffTraces(a.trace, b.trace);
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function renderEntryList(entries, emptyText) {
+    if (!entries.length) return `<div class="ck-swipe-empty">${emptyText}</div>`;
+    return entries.map(e => `
+        <div class="ck-swipe-entry" title="${escapeHtml(e.world)}">
+            <span>${strategy[e.reason] || strategy.unknown}</span>
+            <span class="ck-swipe-entry__name">${escapeHtml(e.name)}</span>
+            ${e.reasonChanged ? `<span class="ck-swipe-entry__note">${escapeHtml(e.reason)} → ${escapeHtml(e.reasonB)}</span>` : ''}
+            <span class="ck-swipe-entry__tokens">${e.tokens ?? 0} tok</span>
+        </div>
+    `).join('');
+}
+
+function renderChunkList(chunks) {
+    if (!chunks.length) return '<div class="ck-swipe-empty">None</div>';
+    return chunks.map(c => `<div class="ck-swipe-entry" title="${escapeHtml(c.text)}"><span>🐰</span><span class="ck-swipe-entry__name">${escapeHtml(c.text) || escapeHtml(c.hash)}</span></div>`).join('');
+}
+
+function formatDelta(a, b) {
+    if (a === null || b === null) return '—';
+    const delta = b - a;
+    return delta === 0 ? '±0' : `${delta > 0 ? '+' : ''}${delta}`;
+}
+
+/**
+ * Render the comparison body for the chosen pair of swipes
+ */
+function renderComparison(body, traceA, traceB) {
+    const diff = diffTraces(traceA.trace, traceB.trace);
+    const labelA = `Swipe ${traceA.swipeId + 1}`;
+    const labelB = `Swipe ${traceB.swipeId + 1}`;
+
+    const itemizationRows = diff.itemization.map(row => `
+        <tr><td>${escapeHtml(row.name)}</td><td>${row.a ?? '—'}</td><td>${row.b ?? '—'}</td><td>${formatDelta(row.a, row.b)}</td></tr>
+    `).join('');
+
+    body.innerHTML = `
+        <div class="ck-swipe-verdict ck-swipe-verdict--${diff.loreChanged ? 'changed' : 'same'}">
+            ${diff.loreChanged
+        ? `Lore differs: ${diff.onlyA.length} entr${diff.onlyA.length === 1 ? 'y' : 'ies'} only in ${labelA}, ${diff.onlyB.length} only in ${labelB}`
+        : `Same lore in both swipes (${diff.shared.length} entries) - differences come from sampling`}
+        </div>
+
+        <div class="ck-swipe-section__title">📚 Lore</div>
+        <div class="ck-swipe-columns">
+            <div class="ck-swipe-column">
+                <div class="ck-swipe-column__title">Only in ${labelA}</div>
+                ${renderEntryList(diff.onlyA, 'None')}
+            </div>
+            <div class="ck-swipe-column">
+                <div class="ck-swipe-column__title">Only in ${labelB}</div>
+                ${renderEntryList(diff.onlyB, 'None')}
+            </div>
+        </div>
+        <details class="ck-swipe-shared">
+            <summary>In both (${diff.shared.length})</summary>
+            ${renderEntryList(diff.shared, 'None')}
+        </details>
+
+        <div class="ck-swipe-section__title">🪙 Tokens</div>
+        <table class="ck-swipe-table">
+            <tr><th></th><th>${labelA}</th><th>${labelB}</th><th>Δ</th></tr>
+            <tr><td>WI entries</td><td>${diff.tokens.a}</td><td>${diff.tokens.b}</td><td>${formatDelta(diff.tokens.a, diff.tokens.b)}</td></tr>
+            <tr><td>Prompt total</td><td>${diff.tokens.promptA ?? '—'}</td><td>${diff.tokens.promptB ?? '—'}</td><td>${formatDelta(diff.tokens.promptA, diff.tokens.promptB)}</td></tr>
+            ${itemizationRows}
+        </table>
+
+        ${diff.vectHare.onlyA.length || diff.vectHare.onlyB.length || diff.vectHare.shared ? `
+            <div class="ck-swipe-section__title">🐰 VectHare chunks (${diff.vectHare.shared} shared)</div>
+            <div class="ck-swipe-columns">
+                <div class="ck-swipe-column">
+                    <div class="ck-swipe-column__title">Only in ${labelA}</div>
+                    ${renderChunkList(diff.vectHare.onlyA)}
+                </div>
+                <div class="ck-swipe-column">
+                    <div class="ck-swipe-column__title">Only in ${labelB}</div>
+                    ${renderChunkList(diff.vectHare.onlyB)}
+                </div>
+            </div>
+        ` : ''}
+
+        <div class="ck-swipe-section__title">💬 Text</div>
+        <div class="ck-swipe-columns">
+            <div class="ck-swipe-column ck-swipe-text">${escapeHtml(traceA.text.slice(0, 400))}</div>
+            <div class="ck-swipe-column ck-swipe-text">${escapeHtml(traceB.text.slice(0, 400))}</div>
+        </div>
+    `;
+}
+
+/**
+ * Show the swipe comparison modal for a message
+ * @param {number} messageId
+ */
+export function showSwipeComparison(messageId) {
+    const existing = document.querySelector('.ck-swipe-modal');
+    if (existing) existing.remove();
+
+    const traces = getSwipeTraces(messageId);
+    if (traces.length < 2) {
+        toastr.info('Need traces for at least two swipes of this message', 'TrackHare');
+        return;
+    }
+
+    const options = traces.map(t => `<option value="${t.swipeId}">Swipe ${t.swipeId + 1} (${t.trace.entries.length} entries)</option>`).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'ck-swipe-modal';
+    modal.innerHTML = `
+        <div class="ck-swipe-modal__backdrop"></div>
+        <div class="ck-swipe-modal__content">
+            <div class="ck-rv-header">
+                <span class="ck-rv-header__title">⇆ Swipe Comparison • message #${messageId}</span>
+                <div class="ck-swipe-pickers">
+                    <select class="ck-swipe-picker" data-side="a">${options}</select>
+                    <span>vs</span>
+                    <select class="ck-swipe-picker" data-side="b">${options}</select>
+                </div>
+                <button class="ck-rv-header__close">✕</button>
+            </div>
+            <div class="ck-rv-body ck-swipe-body"></div>
+        </div>
+    `;
+
+    const body = modal.querySelector('.ck-swipe-body');
+    const pickerA = modal.querySelector('[data-side="a"]');
+    const pickerB = modal.querySelector('[data-side="b"]');
+
+    // Default: the two most recent swipes
+    pickerA.value = String(traces[traces.length - 2].swipeId);
+    pickerB.value = String(traces[traces.length - 1].swipeId);
+
+    const update = () => {
+        const a = traces.find(t => t.swipeId === Number(pickerA.value));
+        const b = traces.find(t => t.swipeId === Number(pickerB.value));
+        renderComparison(body, a, b);
+    };
+    pickerA.addEventListener('change', update);
+    pickerB.addEventListener('change', update);
+    update();
+
+    const close = () => {
+        modal.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
+    function escHandler(e) {
+        if (e.key === 'Escape') close();
+    }
+
+    modal.querySelector('.ck-rv-header__close').onclick = close;
+    modal.querySelector('.ck-swipe-modal__backdrop').onclick = close;
+    document.addEventListener('keydown', escHandler);
+
+    document.body.appendChild(modal);
+}
@@ -0,0 +1,238 @@
+// =============================================================================
+// TIMED EFFECTS - Sticky, cooldown and delay countdowns
+// Follows each entry's timed effect state across turns from the scan's
+// timedEffects and the chat's stored timedWorldInfo
+// =============================================================================
+
+import { chat, chat_metadata, event_types, eventSource } from '../../../../../script.js';
+import { extension_settings } from '../../../../extensions.js';
+import { getEntryKey, resolveEntryIdentity, isPanelScanEvent } from './trigger-tracking.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Timed effect state from the last scan - world§§§uid -> state */
+const effectStates = new Map();
+
+/** When each effect was first seen - world§§§uid:type:start -> timestamp */
+const firstSeen = new Map();
+
+/** Whether the section is expanded in the panel (survives re-renders) */
+let sectionExpanded = false;
+
+const EFFECT_TYPES = ['sticky', 'cooldown'];
+
+const EFFECT_DISPLAY = {
+    sticky: { emoji: '📌', text: 'Sticky' },
+    cooldown: { emoji: '🧊', text: 'Cooldown' },
+    delay: { emoji: '⏱️', text: 'Delay' },
+};
+
+// =============================================================================
+// STATE BUILDING
+// =============================================================================
+
+/**
+ * Stored effect record for an entry - ST keys them by uid and checks the hash
+ */
+function getStoredEffect(type, entry) {
+    const effect = chat_metadata?.timedWorldInfo?.[type]?.[String(entry.uid)];
+    if (!effect) return null;
+    if (effect.hash !== undefined && entry.hash !== undefined && effect.hash !== entry.hash) return null;
+    return effect;
+}
+
+/**
+ * Build a countdown record for one sticky/cooldown effect
+ */
+function buildEffect(type, entry, timedEffects, key) {
+    const stored = getStoredEffect(type, entry);
+    const active = timedEffects?.isEffectActive?.(type, entry) ?? !!stored;
+    if (!active || !stored) return null;
+
+    const seenKey = `${key}:${type}:${stored.start}`;
+    if (!firstSeen.has(seenKey)) firstSeen.set(seenKey, Date.now());
+
+    return {
+        type,
+        start: stored.start,
+        end: stored.end,
+        duration: stored.end - stored.start,
+        remaining: Math.max(0, stored.end - chat.length),
+        // The effect starts on the scan for the reply that becomes message #start
+        startedByMessage: stored.start,
+        startedAt: firstSeen.get(seenKey),
+        protected: !!stored.protected,
+    };
+}
+
+/**
+ * Delay has no stored state - the entry is held back until the chat is long enough
+ */
+function buildDelay(entry) {
+    if (!entry.delay || chat.length >= entry.delay) return null;
+    return {
+        type: 'delay',
+        until: entry.delay,
+        remaining: entry.delay - chat.length,
+    };
+}
+
+/**
+ * Rebuild timed effect state once the scan is done
+ */
+function updateEffectStates(sortedEntries, timedEffects) {
+    effectStates.clear();
+
+    for (const entry of sortedEntries) {
+        const key = getEntryKey(entry.world, entry.uid);
+        const effects = [
+            ...EFFECT_TYPES.map(type => buildEffect(type, entry, timedEffects, key)),
+            buildDelay(entry),
+        ].filter(Boolean);
+        if (!effects.length) continue;
+
+        effectStates.set(key, {
+            key,
+            uid: entry.uid,
+            world: entry.world,
+            name: entry.comment || entry.key?.[0] || `Entry #${entry.uid}`,
+            effects,
+        });
+    }
+
+    console.debug(`[TrackHare] Timed effects: ${effectStates.size} entries with active effects`);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get timed effect state for an entry
+ * @param {Object|string|number} worldOrEntry - Entry, world name, world§§§uid key, or legacy bare uid
+ * @param {number} [uid]
+ * @returns {Object|null} { key, uid, world, name, effects: [{ type, remaining, start, end, startedByMessage, startedAt }] }
+ */
+export function getTimedEffects(worldOrEntry, uid) {
+    const identity = resolveEntryIdentity(worldOrEntry, uid);
+    if (identity.world !== undefined) return effectStates.get(getEntryKey(identity.world, identity.uid)) || null;
+    return [...effectStates.values()].find(state => state.uid === identity.uid) || null;
+}
+
+/**
+ * Get every active effect, soonest expiry first
+ * @param {string} [type] - Only 'sticky', 'cooldown' or 'delay'
+ * @returns {Array<Object>} Effects with the entry's key, world and name
+ */
+export function getUpcomingExpirations(type = null) {
+    return [...effectStates.values()]
+        .flatMap(state => state.effects.map(effect => ({ ...effect, key: state.key, uid: state.uid, world: state.world, name: state.name })))
+        .filter(effect => !type || effect.type === type)
+        .sort((a, b) => a.remaining - b.remaining);
+}
+
+/**
+ * Initialize timed effects tracking
+ */
+export function initTimedEffectsTracking() {
+    // Dry runs don't persist their effects, and quiet prompts aren't the chat's turns
+    eventSource.on(event_types.WORLDINFO_SCAN_DONE, (args) => {
+        if (args.state?.next === 0 && isPanelScanEvent(args)) {
+            updateEffectStates(args.sortedEntries || [], args.timedEffects);
+        }
+    });
+    eventSource.on(event_types.CHAT_CHANGED, () => effectStates.clear());
+    console.log('[TrackHare] Timed effects tracking initialized');
+}
+
+// =============================================================================
+// UI RENDERING
+// =============================================================================
+
+/**
+ * Short countdown label for an effect
+ */
+export function formatEffectCountdown(effect) {
+    const display = EFFECT_DISPLAY[effect.type];
+    if (effect.type === 'delay') return `${display.emoji} ${effect.remaining} to go`;
+    return `${display.emoji} ${effect.remaining}/${effect.duration} left`;
+}
+
+/**
+ * Tooltip describing an effect
+ */
+export function describeEffect(effect) {
+    const display = EFFECT_DISPLAY[effect.type];
+    if (effect.type === 'delay') {
+        return `${display.text}: held back until the chat has ${effect.until} messages (${effect.remaining} more)`;
+    }
+    const started = effect.startedAt ? ` at ${new Date(effect.startedAt).toLocaleTimeString()}` : '';
+    return `${display.text}: ${effect.remaining} of ${effect.duration} turns left\nStarted with message #${effect.startedByMessage}${started}${effect.protected ? '\nProtected' : ''}`;
+}
+
+/**
+ * Render the timed effects section into content container
+ * @param {HTMLElement} content - Container to append to
+ */
+export function renderTimedEffectsSection(content) {
+    if (!(extension_settings.TrackHare?.showTimedEffects ?? true)) return;
+
+    const upcoming = getUpcomingExpirations();
+    if (!upcoming.length) return;
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'ck-world-header ck-timed-header';
+    header.innerHTML = `
+        <div><span style="font-size: 14px;">⏳</span></div>
+        <span>Timed Effects</span>
+        <span class="ck-timed-toggle">${sectionExpanded ? '▼' : '▶'}</span>
+        <span class="ck-header__badge ck-timed-badge" style="margin-left: auto;">${upcoming.length}</span>
+    `;
+    content.appendChild(header);
+
+    const container = document.createElement('div');
+    container.className = 'ck-entries-container ck-timed-container';
+    content.appendChild(container);
+
+    const renderBody = () => {
+        container.innerHTML = '';
+        header.querySelector('.ck-timed-toggle').textContent = sectionExpanded ? '▼' : '▶';
+        if (!sectionExpanded) return;
+
+        upcoming.forEach(effect => {
+            const row = document.createElement('div');
+            row.className = `ck-timed-effect ck-timed-effect--${effect.type}`;
+            row.title = describeEffect(effect);
+
+            const name = document.createElement('span');
+            name.className = 'ck-timed-effect__name';
+            name.textContent = effect.name;
+            row.appendChild(name);
+
+            const countdown = document.createElement('span');
+            countdown.className = 'ck-summary__tag';
+            countdown.textContent = formatEffectCountdown(effect);
+            row.appendChild(countdown);
+
+            if (effect.type !== 'delay') {
+                const bar = document.createElement('div');
+                bar.className = 'ck-timed-effect__bar';
+                bar.style.setProperty('--ck-timed-progress', `${effect.duration ? (effect.remaining / effect.duration) * 100 : 0}%`);
+                row.appendChild(bar);
+            }
+
+            container.appendChild(row);
+        });
+    };
+
+    header.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sectionExpanded = !sectionExpanded;
+        renderBody();
+    });
+
+    renderBody();
+}
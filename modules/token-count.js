@@ -0,0 +1,23 @@
+// =============================================================================
+// TOKEN COUNT - Count text with ST's current tokenizer
+// =============================================================================
+
+import { getContext } from '../../../../extensions.js';
+
+/**
+ * Count tokens with ST's current tokenizer, or estimate (4 chars per token) if it fails
+ * @param {string} text
+ * @returns {Promise<number>}
+ */
+export async function countTokens(text) {
+    if (!text) return 0;
+    const context = getContext();
+    if (context?.getTokenCountAsync) {
+        try {
+            return await context.getTokenCountAsync(text);
+        } catch (e) {
+            // Fall through to the estimate
+        }
+    }
+    return Math.ceil(text.length / 4);
+}
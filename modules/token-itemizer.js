@@ -11,6 +11,7 @@ import { getContext, extension_settings } from '../../../../extensions.js';
 import * as openai from '../../../../openai.js';
 // Import shared UI state for access to tracked WI entries
 import { uiState } from './ui-state.js';
+import { getGenerationTag, getCurrentGenerationId, attachToGeneration, shouldUpdatePanel } from './generation-context.js';
 // Import tokenizer functions for custom tokenizer selection
 import {
     tokenizers,
@@ -101,6 +102,12 @@ let originalExtPrompts = new Map();
  */
 let lastItemization = null;
 
+/**
+ * Last itemization per generation type - quiet generations don't clobber the shown one
+ * @type {Map<string, Object>}
+ */
+const itemizationByType = new Map();
+
 /**
  * Last captured prompt manager data
  * @type {Object|null}
@@ -1399,6 +1406,7 @@ async function extractNestedContent(content, parentTag, role, countTokens, skipW
 async function processChatCompletion(eventData) {
     // Skip dry runs (token counting, chat loading, etc.)
     if (eventData.dryRun) return;
+    const generationId = getCurrentGenerationId();
 
     const { chat } = eventData;
     if (!chat?.length) return;
@@ -1554,8 +1562,7 @@ async function processChatCompletion(eventData) {
     // Clear shadow prompts for next generation
     shadowWrappedPrompts.clear();
 
-    lastItemization = itemization;
-    resetExclusions(); // Clear any exclusions from previous generation
+    storeItemization(itemization, generationId);
 
     console.debug('[TrackHare] Itemization:', itemization.sections.length, 'sections,', itemization.totalMarkedTokens, 'tokens');
     console.debug('[TrackHare] Identifier mappings:', Object.fromEntries(identifierToName));
@@ -1567,6 +1574,7 @@ async function processChatCompletion(eventData) {
  */
 async function processTextCompletion(eventData) {
     if (eventData.dryRun) return;
+    const generationId = getCurrentGenerationId();
 
     const { prompt } = eventData;
     if (!prompt) return;
@@ -1603,12 +1611,26 @@ async function processTextCompletion(eventData) {
         eventData.prompt = stripMarkers(prompt);
     }
 
-    lastItemization = itemization;
-    resetExclusions(); // Clear any exclusions from previous generation
+    storeItemization(itemization, generationId);
 
     console.debug('[TrackHare] Text itemization:', itemization.sections.length, 'sections');
 }
 
+/**
+ * Keep an itemization in its generation type's slot
+ * Only types that update the panel replace the one the itemizer shows, and
+ * an itemization that finishes after its generation was superseded is dropped
+ */
+function storeItemization(itemization, generationId) {
+    if (!attachToGeneration(generationId, 'itemization', itemization)) return;
+    Object.assign(itemization, getGenerationTag(generationId));
+    itemizationByType.set(itemization.generationType, itemization);
+    if (!shouldUpdatePanel(generationId)) return;
+
+    lastItemization = itemization;
+    resetExclusions(); // Clear any exclusions from previous generation
+}
+
 /**
  * Clean up after generation
  */
@@ -1755,10 +1777,11 @@ export function areMarkersEnabled() {
 }
 
 /**
+ * @param {string} [type] - Generation type slot; defaults to the itemization the panel shows
  * @returns {Object|null}
  */
-export function getLastItemization() {
-    return lastItemization;
+export function getLastItemization(type = null) {
+    return type ? itemizationByType.get(type) || null : lastItemization;
 }
 
 /**
@@ -1920,6 +1943,7 @@ export function getItemizationSummary() {
 
     const summary = {
         timestamp: lastItemization.timestamp,
+        generationId: lastItemization.generationId ?? null,
         totalTokens: lastItemization.totalMarkedTokens,
         categories: {},
     };
@@ -1992,9 +2016,9 @@ export function initTokenItemizer() {
     // Retry patch on generation start if not already applied
     // This ensures we catch promptManager after it's been initialized
     // Also track dry run state to avoid polluting dry run prompts with markers
-    eventSource.on(event_types.GENERATION_STARTED, (args) => {
-        // Track dry run state - args can be various formats depending on ST version
-        isDryRun = args?.dryRun || args?.dry_run || false;
+    eventSource.on(event_types.GENERATION_STARTED, (type, options, dryRun) => {
+        // Track dry run state - ST passes (type, options, dryRun); some builds passed one object
+        isDryRun = dryRun === true || !!(type && typeof type === 'object' && (type.dryRun || type.dry_run));
         if (isDryRun) {
             console.debug('[TrackHare] Dry run detected, skipping marker injection');
             return;
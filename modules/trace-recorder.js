@@ -0,0 +1,297 @@
+// =============================================================================
+// TRACE RECORDER - Generation traces kept in IndexedDB, per chat
+// Finished traces are written once their late data has settled, then trimmed
+// by the retention policy (last N generations per chat, N days, max MB)
+// =============================================================================
+
+import { event_types, eventSource } from '../../../../../script.js';
+import { extension_settings, getContext } from '../../../../extensions.js';
+import { getTraces } from './generation-trace.js';
+import { countTokens } from './token-count.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+const DB_NAME = 'TrackHare';
+const DB_VERSION = 1;
+const STORE_NAME = 'traces';
+
+/** Retention defaults - 0 turns a limit off */
+export const DEFAULT_RETENTION = {
+    generations: 500,
+    days: 30,
+    megabytes: 50,
+};
+
+/** Wait past generation context's settle window so VectHare data is in */
+const RECORD_DELAY_MS = 1500;
+
+/** Open database, shared by every caller - null until first use */
+let dbPromise = null;
+
+/** Trace ids already written this session */
+const recordedIds = new Set();
+
+// =============================================================================
+// DATABASE
+// =============================================================================
+
+/**
+ * Resolve an IDBRequest
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Open (and on first run create) the trace database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'recordId' });
+            store.createIndex('chatId', 'chatId');
+            store.createIndex('startedAt', 'startedAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Let the next call retry if the browser refused (private mode, quota)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Visit every record in an index, newest first
+ * @param {IDBIndex|IDBObjectStore} source
+ * @param {IDBKeyRange|null} range
+ * @param {Function} visit - (record, cursor) => void
+ */
+function walkNewestFirst(source, range, visit) {
+    return new Promise((resolve, reject) => {
+        const request = source.openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve();
+            visit(cursor.value, cursor);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Current retention settings, with defaults filled in
+ */
+export function getRetentionSettings() {
+    return { ...DEFAULT_RETENTION, ...extension_settings.TrackHare?.traceRetention };
+}
+
+/**
+ * Fill in token counts the itemizer didn't provide - the raw entry is gone once stored
+ */
+async function fillEntryTokens(trace) {
+    for (const traceEntry of trace.entries) {
+        if (traceEntry.tokens === null) traceEntry.tokens = await countTokens(traceEntry.entry?.content);
+    }
+}
+
+/**
+ * Drop what doesn't need to survive a reload - raw ST entry objects and full prompt text
+ */
+function serializeTrace(trace) {
+    return JSON.parse(JSON.stringify({
+        ...trace,
+        entries: trace.entries.map(({ entry, ...rest }) => rest),
+        itemization: trace.itemization && {
+            ...trace.itemization,
+            sections: trace.itemization.sections?.map(({ content, ...rest }) => rest) || [],
+        },
+    }));
+}
+
+/**
+ * Write finished traces that haven't been recorded yet
+ */
+async function recordFinishedTraces() {
+    if (!(extension_settings.TrackHare?.recordTraces ?? true)) return;
+
+    const pending = getTraces().filter(trace => trace.status !== 'running' && trace.chatId && !recordedIds.has(trace.id));
+    if (!pending.length) return;
+    pending.forEach(trace => recordedIds.add(trace.id));
+
+    try {
+        for (const trace of pending) await fillEntryTokens(trace);
+
+        const db = await openDatabase();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        for (const trace of pending) {
+            const serialized = serializeTrace(trace);
+            store.put({
+                recordId: `${trace.chatId}|${trace.startedAt}|${trace.id}`,
+                chatId: trace.chatId,
+                startedAt: trace.startedAt,
+                savedAt: Date.now(),
+                size: new Blob([JSON.stringify(serialized)]).size,
+                trace: serialized,
+            });
+        }
+        await transactionDone(tx);
+        await applyRetention();
+    } catch (error) {
+        pending.forEach(trace => recordedIds.delete(trace.id));
+        console.warn('[TrackHare] Failed to record generation traces:', error);
+    }
+}
+
+/**
+ * Trim stored traces to the retention policy
+ */
+export async function applyRetention() {
+    const { generations, days, megabytes } = getRetentionSettings();
+    const db = await openDatabase();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const byStart = tx.objectStore(STORE_NAME).index('startedAt');
+
+    const cutoff = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : -Infinity;
+    const maxBytes = megabytes > 0 ? megabytes * 1024 * 1024 : Infinity;
+    const perChat = new Map();
+    let totalBytes = 0;
+
+    await walkNewestFirst(byStart, null, (record, cursor) => {
+        const chatCount = (perChat.get(record.chatId) || 0) + 1;
+        perChat.set(record.chatId, chatCount);
+        totalBytes += record.size || 0;
+
+        const tooOld = record.startedAt < cutoff;
+        const tooMany = generations > 0 && chatCount > generations;
+        if (tooOld || tooMany || totalBytes > maxBytes) {
+            cursor.delete();
+            totalBytes -= record.size || 0;
+            perChat.set(record.chatId, chatCount - 1);
+        }
+    });
+    await transactionDone(tx);
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get the recorded traces of a chat, newest first
+ * @param {string|null} [chatId] - Defaults to the open chat; null returns every chat's
+ * @returns {Promise<Array<Object>>} GenerationTraces (without raw entry objects or prompt text)
+ */
+export async function getRecordedTraces(chatId = getContext()?.chatId) {
+    if (chatId === undefined) return [];
+    const db = await openDatabase();
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const store = tx.objectStore(STORE_NAME);
+    const records = await requestToPromise(chatId === null ? store.getAll() : store.index('chatId').getAll(chatId));
+    return records.sort((a, b) => b.startedAt - a.startedAt).map(record => record.trace);
+}
+
+/**
+ * Write any finished traces now instead of waiting for the next generation to end
+ */
+export function flushTraceRecorder() {
+    return recordFinishedTraces();
+}
+
+/**
+ * Get how much is stored, overall and per chat
+ * @returns {Promise<Object>} { count, bytes, chats: [{ chatId, count, bytes, lastStartedAt }] }
+ */
+export async function getRecorderStats() {
+    const db = await openDatabase();
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const chats = new Map();
+    let count = 0;
+    let bytes = 0;
+
+    await walkNewestFirst(tx.objectStore(STORE_NAME).index('startedAt'), null, (record) => {
+        count++;
+        bytes += record.size || 0;
+        const chat = chats.get(record.chatId) || { chatId: record.chatId, count: 0, bytes: 0, lastStartedAt: record.startedAt };
+        chat.count++;
+        chat.bytes += record.size || 0;
+        chats.set(record.chatId, chat);
+    });
+
+    return { count, bytes, chats: [...chats.values()] };
+}
+
+/**
+ * Delete recorded traces
+ * @param {string|null} [chatId] - Only this chat's; null deletes everything
+ * @returns {Promise<number>} How many were deleted
+ */
+export async function purgeRecordedTraces(chatId = null) {
+    const db = await openDatabase();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    let deleted = 0;
+
+    if (chatId === null) {
+        deleted = await requestToPromise(store.count());
+        store.clear();
+    } else {
+        await walkNewestFirst(store.index('chatId'), IDBKeyRange.only(chatId), (record, cursor) => {
+            cursor.delete();
+            deleted++;
+        });
+    }
+    await transactionDone(tx);
+    return deleted;
+}
+
+/**
+ * Human-readable size
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Initialize the recorder
+ */
+export function initTraceRecorder() {
+    if (typeof indexedDB === 'undefined') {
+        console.warn('[TrackHare] IndexedDB unavailable - traces will not survive a reload');
+        return;
+    }
+
+    const scheduleRecord = () => setTimeout(recordFinishedTraces, RECORD_DELAY_MS);
+    eventSource.on(event_types.GENERATION_ENDED, scheduleRecord);
+    eventSource.on(event_types.GENERATION_STOPPED, scheduleRecord);
+    console.log('[TrackHare] Trace recorder initialized');
+}
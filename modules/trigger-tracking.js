@@ -3,148 +3,391 @@
 // Captures [WI] logs to determine which loop each entry activated in
 // =============================================================================
 
-import { event_types, eventSource } from '../../../../../script.js';
+import { chat, event_types, eventSource } from '../../../../../script.js';
+import { world_info_budget, world_info_budget_cap } from '../../../../../scripts/world-info.js';
+import { entryMatchesContent, findKeySpan, checkSecondaryKeys } from './key-matching.js';
+import { attributeTriggerSource, clearTriggerSourceAttributions, getChatScanWindow } from './source-attribution.js';
+import { parseWILog } from './log-parsers.js';
+import { addConsoleDebugListener, ensureConsoleHook } from './console-hook.js';
+import { beginGenerationLog, endGenerationLog, recordWILogLine } from './wi-log.js';
+import { getCurrentGenerationId, getGeneration, attachToGeneration, isGenerationOpen, shouldUpdatePanel } from './generation-context.js';
+import { countTokens } from './token-count.js';
 
 // =============================================================================
 // STATE VARIABLES
 // =============================================================================
 
-/** Deep tracking data for activated entries - uid -> tracking info */
-const deepTriggerData = new Map();
+/** Scan state by generation id, oldest first - a quiet prompt can scan inside a main generation */
+const scans = new Map();
 
-/** Recursion chain tracking - uid -> { level, triggeredBy } */
-const recursionChain = new Map();
+/** How many generations' scans to keep */
+const SCAN_LIMIT = 10;
 
-/** Current loop being processed */
-let currentLoop = 0;
+/** Scans whose [WI] log is being captured, innermost last - log lines go to the last one */
+const activeScans = [];
 
-/** Entries activated in each loop - loop# -> Set of uids */
-const entriesByLoop = new Map();
+/** Scan the panel and the getters below read - the latest from a generation that updates the panel */
+let panelScan = createScanState(null);
 
-/** Log buffer for parsing */
-let logBuffer = [];
-let originalConsoleDebug = null;
-let isCapturing = false;
+/** Scan each WORLDINFO_SCAN_DONE payload was recorded into - later listeners ask with isPanelScanEvent */
+const scanByEvent = new WeakMap();
+
+/** Probability roll history across generations - world§§§uid -> Array of rolls (newest last) */
+const probabilityHistory = new Map();
+
+/** How many rolls to keep per entry */
+const PROBABILITY_HISTORY_LIMIT = 50;
+
+/** Reasons that come from a plain key match - the scan source can refine these */
+const KEY_MATCH_REASONS = new Set([
+    'activated', 'key_match', 'key_match_selective', 'primary_key_match', 'normal_key_match',
+    'secondary_and_any', 'secondary_not_all', 'secondary_not_any', 'secondary_and_all',
+]);
+
+/** Removes the shared [WI] console listener - set while any scan is captured */
+let removeLogListener = null;
+
+/** Safety net - a scan that never reports back (stopped or errored generation) stops capture after this */
+const CAPTURE_TIMEOUT_MS = 60000;
+
+/** Placeholder world for log lines that don't say which lorebook they came from */
+const UNKNOWN_WORLD = '*';
+
+/**
+ * Fresh scan state for a generation
+ * deepTriggerData: world§§§uid -> tracking info
+ * recursionChain: world§§§uid -> { level, triggeredBy, source, sources, provenance }
+ * entriesByLoop: loop# -> Set of world§§§uid keys
+ * scanOutcomes: world§§§uid -> { matched, matchedLoop, outcome, detail, loop }
+ * budgetOverflow: entries the WI budget cut, or null if it held (see getBudgetOverflow)
+ * successfulKeys: entry keys that made it into the prompt (from WORLDINFO_SCAN_DONE)
+ * scannedEntries: world§§§uid -> every entry the scan considered
+ * probabilityResults: world§§§uid -> this scan's roll
+ * groupLogEvents: group name -> { notes: Set, results: Map<world§§§uid, { result, method }> }
+ */
+function createScanState(generationId) {
+    return {
+        generationId,
+        dryRun: getGeneration(generationId)?.dryRun ?? false,
+        updatesPanel: shouldUpdatePanel(generationId),
+        currentLoop: 0,
+        deepTriggerData: new Map(),
+        recursionChain: new Map(),
+        entriesByLoop: new Map(),
+        scanOutcomes: new Map(),
+        budgetOverflow: null,
+        successfulKeys: new Set(),
+        scannedEntries: new Map(),
+        probabilityResults: new Map(),
+        groupLogEvents: new Map(),
+        log: null,
+        timeout: null,
+    };
+}
+
+/**
+ * Scan state of a generation - the panel's scan if that generation has none
+ */
+function getScan(generationId) {
+    return scans.get(generationId) || panelScan;
+}
 
 // =============================================================================
-// LOG CAPTURE - Aggressive parsing of [WI] logs
+// ENTRY IDENTITY - uids are only unique within one lorebook
 // =============================================================================
 
 /**
- * Start capturing console.debug logs
+ * Composite key for an entry (same world§§§uid format the badge uses)
+ */
+export function getEntryKey(world, uid) {
+    return `${world ?? UNKNOWN_WORLD}§§§${uid}`;
+}
+
+/**
+ * Normalize lookup arguments to { world, uid }
+ * Accepts (entry), (world, uid), a world§§§uid key, or a legacy bare uid (world undefined)
+ */
+export function resolveEntryIdentity(worldOrEntry, uid) {
+    if (worldOrEntry && typeof worldOrEntry === 'object') {
+        return { world: worldOrEntry.world, uid: worldOrEntry.uid };
+    }
+    if (uid !== undefined) return { world: worldOrEntry, uid };
+    if (typeof worldOrEntry === 'string' && worldOrEntry.includes('§§§')) {
+        const [world, id] = worldOrEntry.split('§§§');
+        return { world, uid: Number(id) };
+    }
+    return { world: undefined, uid: worldOrEntry };
+}
+
+/**
+ * Look up a keyed tracking map by entry identity
+ * Data is filed under its world when recorded, so a world lookup is exact.
+ * Legacy bare-uid lookups return the first match across worlds, which is
+ * ambiguous when several lorebooks share a uid - callers should pass the world
+ */
+export function lookupByEntry(map, worldOrEntry, uid) {
+    const identity = resolveEntryIdentity(worldOrEntry, uid);
+    if (identity.world !== undefined) {
+        return map.get(getEntryKey(identity.world, identity.uid)) ?? null;
+    }
+
+    const suffix = `§§§${identity.uid}`;
+    for (const [key, value] of map) {
+        if (key.endsWith(suffix)) return value;
+    }
+    return null;
+}
+
+/**
+ * World of the one scanned entry with this uid - null when no lorebook or several have it
  */
-function startLogCapture() {
-    if (isCapturing) return;
+function findScannedWorld(scan, uid) {
+    const worlds = [...scan.scannedEntries.values()].filter(entry => entry.uid === uid).map(entry => entry.world);
+    return worlds.length === 1 ? worlds[0] : null;
+}
 
-    // Reset state
-    logBuffer = [];
-    currentLoop = 0;
-    entriesByLoop.clear();
-    deepTriggerData.clear();
-    recursionChain.clear();
+/**
+ * Work out which entry a [WI] log line is about
+ * ST passes the entry object along on most lines; some builds also name the world in the text.
+ * Otherwise the uid only counts as known when a single scanned lorebook has it
+ */
+function resolveLogEntry(scan, args, loggedWorld, uidText) {
+    const uid = parseInt(uidText, 10);
+    const entryArg = args.find(a => a && typeof a === 'object' && a.uid === uid);
+    const world = entryArg?.world ?? loggedWorld ?? findScannedWorld(scan, uid);
+    return { uid, world, key: getEntryKey(world, uid) };
+}
 
-    originalConsoleDebug = console.debug;
-    isCapturing = true;
+/**
+ * Move data logged without a world onto the entry's real key once the scan event names it
+ */
+function adoptUnknownWorld(scan, entry) {
+    const unknownKey = getEntryKey(null, entry.uid);
+    const key = getEntryKey(entry.world, entry.uid);
+    if (unknownKey === key) return;
 
-    console.debug = function (...args) {
-        // Check if it's a WI log
-        const firstArg = args[0];
-        if (typeof firstArg === 'string' && firstArg.startsWith('[WI]')) {
-            processWILog(args);
+    for (const map of [scan.deepTriggerData, scan.recursionChain, scan.scanOutcomes]) {
+        if (map.has(unknownKey) && !map.has(key)) {
+            map.set(key, { ...map.get(unknownKey), world: entry.world });
+            map.delete(unknownKey);
+        }
+    }
+    for (const keys of scan.entriesByLoop.values()) {
+        if (keys.delete(unknownKey)) keys.add(key);
+    }
+    for (const { results } of scan.groupLogEvents.values()) {
+        if (results.has(unknownKey) && !results.has(key)) {
+            results.set(key, results.get(unknownKey));
+            results.delete(unknownKey);
         }
-        // Always call original
-        originalConsoleDebug.apply(console, args);
+    }
+}
+
+/**
+ * File data logged without a world under the one scanned lorebook that has the uid
+ * Uids several lorebooks share stay unknown - they'd be reported for every one of them
+ */
+function resolveUnknownWorlds(scan) {
+    const unknownUids = new Set();
+    const collect = (key) => {
+        const { world, uid } = resolveEntryIdentity(key);
+        if (world === UNKNOWN_WORLD) unknownUids.add(uid);
     };
+    [scan.deepTriggerData, scan.recursionChain, scan.scanOutcomes].forEach(map => [...map.keys()].forEach(collect));
+    scan.groupLogEvents.forEach(({ results }) => [...results.keys()].forEach(collect));
+
+    for (const uid of unknownUids) {
+        const world = findScannedWorld(scan, uid);
+        if (world !== null) adoptUnknownWorld(scan, { uid, world });
+    }
+}
+
+// =============================================================================
+// LOG CAPTURE - Aggressive parsing of [WI] logs
+// =============================================================================
 
-    console.debug('[TrackHare] Log capture started');
+/**
+ * Start capturing [WI] console.debug logs into a fresh scan for a generation
+ * A panel generation's scan becomes what the panel reads; quiet prompts and
+ * dry runs keep theirs to themselves
+ * @returns {Object} The new scan state
+ */
+function startLogCapture(generationId = getCurrentGenerationId()) {
+    const scan = createScanState(generationId);
+    scan.log = beginGenerationLog(generationId);
+    scan.timeout = setTimeout(() => stopLogCapture(scan, 'timeout'), CAPTURE_TIMEOUT_MS);
+    activeScans.push(scan);
+
+    scans.delete(generationId);
+    scans.set(generationId, scan);
+    while (scans.size > SCAN_LIMIT) scans.delete(scans.keys().next().value);
+    if (scan.updatesPanel) panelScan = scan;
+
+    removeLogListener ??= addConsoleDebugListener('[WI]', processWILog);
+    ensureConsoleHook();
+
+    console.debug(`[TrackHare] Log capture started for generation #${generationId}`);
+    return scan;
+}
+
+/**
+ * Get (or create) the log event record for an inclusion group
+ */
+function getGroupLogRecord(scan, group) {
+    if (!scan.groupLogEvents.has(group)) {
+        scan.groupLogEvents.set(group, { notes: new Set(), results: new Map() });
+    }
+    return scan.groupLogEvents.get(group);
+}
+
+/**
+ * Record inclusion group details from a parsed [WI] log line
+ * Group-level lines ("Inclusion group 'x' already activated") become notes,
+ * entry-level lines ("Entry 5 activated as prio winner ...") become per-entry results
+ */
+function recordGroupLog(scan, data, key) {
+    const record = getGroupLogRecord(scan, data.group);
+    if (data.note) record.notes.add(data.note);
+    if (data.result && key !== null) record.results.set(key, { result: data.result, method: data.method });
+}
+
+/**
+ * Record a scan outcome for an entry, merging with what we already know
+ */
+function recordScanOutcome(scan, ref, update) {
+    const existing = scan.scanOutcomes.get(ref.key) || { uid: ref.uid, world: ref.world, matched: false, matchedLoop: null, outcome: null, detail: null, loop: null };
+    scan.scanOutcomes.set(ref.key, { ...existing, ...update });
 }
 
 /**
  * Process a [WI] log line in real-time
+ * Wording lives in the log parser registry - this only acts on what it understood.
+ * Lines belong to the innermost scan being captured
  */
 function processWILog(args) {
-    const logText = args.map(a => typeof a === 'string' ? a : '').join(' ');
-
-    // Detect loop start: "[WI] --- LOOP #X START ---"
-    const loopMatch = logText.match(/\[WI\] --- LOOP #(\d+) START ---/);
-    if (loopMatch) {
-        currentLoop = parseInt(loopMatch[1], 10);
-        if (!entriesByLoop.has(currentLoop)) {
-            entriesByLoop.set(currentLoop, new Set());
+    const scan = activeScans[activeScans.length - 1];
+    if (!scan) return;
+
+    const { line, matches } = parseWILog(args);
+
+    // Entry lines: "[WI] Entry XXX" followed by the message (and usually the entry object)
+    const ref = line.uidText !== null ? resolveLogEntry(scan, args, line.world, line.uidText) : null;
+    recordWILogLine(scan.log, line, matches, { loop: matches.loop?.data.loop ?? scan.currentLoop, ref });
+
+    // Budget overflow: "[WI] budget of X reached, stopping after Y entries"
+    if (matches.budget) {
+        getBudgetOverflowRecord(scan, matches.budget.data.budget, scan.currentLoop);
+        return;
+    }
+
+    // Loop start: "[WI] --- LOOP #X START ---"
+    if (matches.loop) {
+        scan.currentLoop = matches.loop.data.loop;
+        if (!scan.entriesByLoop.has(scan.currentLoop)) {
+            scan.entriesByLoop.set(scan.currentLoop, new Set());
         }
-        console.debug(`[TrackHare] Detected loop #${currentLoop}`);
+        console.debug(`[TrackHare] Detected loop #${scan.currentLoop}`);
         return;
     }
 
-    // Detect entry activation: "[WI] Entry XXX activated..."
-    // The log format is: log('activated by...') which becomes console.debug('[WI] Entry {uid}', 'activated by...')
-    const entryMatch = logText.match(/\[WI\] Entry (\d+)/);
-    if (entryMatch && logText.includes('activated')) {
-        const uid = parseInt(entryMatch[1], 10);
-        const level = Math.max(0, currentLoop - 1); // Loop 1 = L0, Loop 2 = L1, etc.
+    // Inclusion group contest details (winners, losers, group-level notes)
+    if (matches.group) recordGroupLog(scan, matches.group.data, ref?.key ?? null);
+    if (!ref) return;
+
+    // Rejections are checked first - some of them mention "activated" too
+    // (e.g. "failed probability check, removing from activated entries")
+    if (matches.rejection) {
+        recordScanOutcome(scan, ref, {
+            outcome: matches.rejection.data.outcome,
+            detail: line.message,
+            loop: scan.currentLoop,
+            confidence: matches.rejection.confidence,
+        });
+        return;
+    }
+
+    if (matches.activation) {
+        const { uid, world, key } = ref;
+        const loop = scan.currentLoop;
+        const level = Math.max(0, loop - 1); // Loop 1 = L0, Loop 2 = L1, etc.
+        const { reason } = matches.activation.data;
 
         // Track this entry
-        if (!entriesByLoop.has(currentLoop)) {
-            entriesByLoop.set(currentLoop, new Set());
-        }
-        entriesByLoop.get(currentLoop).add(uid);
-
-        // Determine activation reason from log text
-        let reason = 'activated';
-        if (logText.includes('@@activate decorator')) reason = 'decorator';
-        else if (logText.includes('constant')) reason = 'constant';
-        else if (logText.includes('sticky')) reason = 'sticky';
-        else if (logText.includes('primary key match')) reason = 'primary_key_match';
-        else if (logText.includes('AND ANY')) reason = 'secondary_and_any';
-        else if (logText.includes('NOT ALL')) reason = 'secondary_not_all';
-        else if (logText.includes('NOT ANY')) reason = 'secondary_not_any';
-        else if (logText.includes('AND ALL')) reason = 'secondary_and_all';
-        else if (logText.includes('prio winner')) reason = 'group_priority';
-        else if (logText.includes('roll winner')) reason = 'group_random';
-
-        // Extract matched keyword if present
-        let matchedKeyword = null;
-        // Look for the keyword in args (usually the 3rd argument for primary key match)
-        if (args.length >= 3 && reason === 'primary_key_match') {
-            matchedKeyword = typeof args[2] === 'string' ? args[2] : null;
+        if (!scan.entriesByLoop.has(loop)) {
+            scan.entriesByLoop.set(loop, new Set());
         }
+        scan.entriesByLoop.get(loop).add(key);
+
+        // Group winner lines come after the key match - keep the keyword we already saw
+        const matchedKeyword = matches.activation.data.matchedKeyword ?? scan.deepTriggerData.get(key)?.matchedKeyword ?? null;
 
         // Store tracking data
-        deepTriggerData.set(uid, {
+        scan.deepTriggerData.set(key, {
             uid,
+            world,
             recursionLevel: level,
-            loopCount: currentLoop,
+            loopCount: loop,
             reason,
+            confident: matches.activation.confidence !== 'low',
+            confidence: matches.activation.confidence,
+            parserRule: matches.activation.ruleId,
+            reasonSource: 'log',
             matchedKeyword,
             timestamp: Date.now(),
         });
 
-        // Store in recursion chain
-        const prevLoopUids = currentLoop > 1 ? [...(entriesByLoop.get(currentLoop - 1) || [])] : [];
-        recursionChain.set(uid, {
+        // Store in recursion chain - provisional until provenance is resolved at the end of the scan
+        const prevLoopKeys = loop > 1 ? [...(scan.entriesByLoop.get(loop - 1) || [])] : [];
+        scan.recursionChain.set(key, {
             level,
-            triggeredBy: prevLoopUids,
+            triggeredBy: prevLoopKeys,
+            source: null,
+            sources: [],
+            provenance: 'loop',
         });
 
-        console.debug(`[TrackHare] Entry ${uid} activated at L${level} (loop ${currentLoop}), reason: ${reason}`);
+        // A log activation only means the entry matched - probability, groups and budget come later
+        recordScanOutcome(scan, ref, { matched: true, matchedLoop: loop });
+
+        console.debug(`[TrackHare] Entry ${key} activated at L${level} (loop ${loop}), reason: ${reason} (${matches.activation.confidence})`);
     }
 }
 
 /**
- * Stop capturing and restore original console.debug
+ * Stop capturing [WI] logs for a scan
+ * @param {Object} scan
+ * @param {string} [why] - done | stopped | timeout | restarted | chat_changed | late | error
  */
-function stopLogCapture() {
-    if (!isCapturing) return;
+function stopLogCapture(scan, why = 'done') {
+    const index = activeScans.indexOf(scan);
+    if (index === -1) return;
 
-    if (originalConsoleDebug) {
-        console.debug = originalConsoleDebug;
-        originalConsoleDebug = null;
+    activeScans.splice(index, 1);
+    clearTimeout(scan.timeout);
+    scan.timeout = null;
+    endGenerationLog(scan.log);
+    if (!activeScans.length) {
+        removeLogListener?.();
+        removeLogListener = null;
     }
-    isCapturing = false;
 
-    console.debug(`[TrackHare] Capture stopped. Found entries in ${entriesByLoop.size} loops:`);
-    for (const [loop, uids] of entriesByLoop) {
-        console.debug(`  Loop ${loop} (L${loop - 1}): ${uids.size} entries`);
+    if (why === 'timeout') {
+        console.warn(`[TrackHare] WI log capture timed out after ${CAPTURE_TIMEOUT_MS / 1000}s - stopping`);
+    } else if (why !== 'done') {
+        console.debug(`[TrackHare] WI log capture stopped early (${why})`);
+    }
+    console.debug(`[TrackHare] Capture stopped for generation #${scan.generationId}. Found entries in ${scan.entriesByLoop.size} loops:`);
+    for (const [loop, keys] of scan.entriesByLoop) {
+        console.debug(`  Loop ${loop} (L${loop - 1}): ${keys.size} entries`);
+    }
+}
+
+/**
+ * Stop the captures of generations that are no longer running
+ */
+function stopFinishedCaptures(why) {
+    for (const scan of [...activeScans]) {
+        if (getGeneration(scan.generationId)?.status !== 'running') stopLogCapture(scan, why);
     }
 }
 
@@ -182,77 +425,361 @@ export function determineTriggerReason(entry, timedEffects = null) {
 // =============================================================================
 
 /**
- * Also listen to WORLDINFO_SCAN_DONE as a backup data source
+ * Scan a WORLDINFO_SCAN_DONE payload belongs to - the innermost one being captured
+ * A first loop with nothing captured is a scan that didn't come through
+ * GENERATION_STARTED, and belongs to the current generation
  */
-function setupScanDoneTracking() {
-    eventSource.on(event_types.WORLDINFO_SCAN_DONE, (args) => {
-        const { state, new: newEntries, timedEffects } = args;
-
-        // Use loopCount from the event as verification
-        const eventLoop = state.loopCount;
-        const level = Math.max(0, eventLoop - 1);
-
-        if (newEntries.successful?.length > 0) {
-            for (const entry of newEntries.successful) {
-                // Only update if we don't already have data from log parsing
-                // or if log parsing gave a different loop (trust the event more)
-                const existing = deepTriggerData.get(entry.uid);
-
-                if (!existing || existing.loopCount !== eventLoop) {
-                    let reason = existing?.reason || 'activated';
-                    let confident = !!existing?.reason;
-
-                    if (!existing?.reason) {
-                        const fallback = determineTriggerReason(entry, timedEffects);
-                        reason = fallback.reason;
-                        confident = fallback.confident;
-                    }
-
-                    deepTriggerData.set(entry.uid, {
-                        uid: entry.uid,
-                        recursionLevel: level,
-                        loopCount: eventLoop,
-                        reason,
-                        confident,
-                        matchedKeyword: existing?.matchedKeyword || null,
-                        timestamp: Date.now(),
-                        entryName: entry.comment || entry.uid,
-                        world: entry.world,
-                    });
-
-                    // Update recursion chain
-                    const prevLoopUids = eventLoop > 1 ? [...(entriesByLoop.get(eventLoop - 1) || [])] : [];
-                    recursionChain.set(entry.uid, {
-                        level,
-                        triggeredBy: prevLoopUids,
-                    });
-
-                    // Track in entriesByLoop
-                    if (!entriesByLoop.has(eventLoop)) {
-                        entriesByLoop.set(eventLoop, new Set());
-                    }
-                    entriesByLoop.get(eventLoop).add(entry.uid);
+function resolveEventScan(eventLoop) {
+    const scan = activeScans[activeScans.length - 1];
+    if (scan) return scan;
+    return eventLoop <= 1 ? startLogCapture() : null;
+}
+
+/**
+ * Record one WORLDINFO_SCAN_DONE loop into a scan, and close the capture after the last loop
+ */
+async function recordScanLoop(scan, args) {
+    const { state, new: newEntries, timedEffects, budget } = args;
+
+    // Use loopCount from the event as verification
+    const eventLoop = state.loopCount;
+    const level = Math.max(0, eventLoop - 1);
+
+    if (budget?.overflowed) await recordBudgetOverflow(scan, args);
+
+    // A second scan for the same generation starts over
+    if (eventLoop <= 1) {
+        scan.scannedEntries.clear();
+        scan.successfulKeys.clear();
+    }
+    for (const entry of args.sortedEntries || []) {
+        scan.scannedEntries.set(getEntryKey(entry.world, entry.uid), entry);
+    }
+    resolveUnknownWorlds(scan);
+
+    if (newEntries.successful?.length > 0) {
+        for (const entry of newEntries.successful) {
+            const key = getEntryKey(entry.world, entry.uid);
+            scan.successfulKeys.add(key);
+            adoptUnknownWorld(scan, entry);
+
+            // Only update if we don't already have data from log parsing
+            // or if log parsing gave a different loop (trust the event more)
+            const existing = scan.deepTriggerData.get(key);
+
+            if (!existing || existing.loopCount !== eventLoop) {
+                let reason = existing?.reason || 'activated';
+                let confident = !!existing?.reason;
+
+                if (!existing?.reason) {
+                    const fallback = determineTriggerReason(entry, timedEffects);
+                    reason = fallback.reason;
+                    confident = fallback.confident;
                 }
+
+                scan.deepTriggerData.set(key, {
+                    uid: entry.uid,
+                    recursionLevel: level,
+                    loopCount: eventLoop,
+                    reason,
+                    confident,
+                    confidence: existing?.confidence ?? null,
+                    parserRule: existing?.parserRule ?? null,
+                    // The log's reason if it gave one, otherwise determineTriggerReason's guess
+                    reasonSource: existing?.reason ? existing.reasonSource ?? 'log' : 'fallback',
+                    matchedKeyword: existing?.matchedKeyword || null,
+                    timestamp: Date.now(),
+                    entryName: entry.comment || entry.uid,
+                    world: entry.world,
+                });
+
+                // Update recursion chain
+                const prevLoopKeys = eventLoop > 1 ? [...(scan.entriesByLoop.get(eventLoop - 1) || [])] : [];
+                scan.recursionChain.set(key, {
+                    level,
+                    triggeredBy: prevLoopKeys,
+                    source: null,
+                    sources: [],
+                    provenance: 'loop',
+                });
+
+                // Track in entriesByLoop
+                if (!scan.entriesByLoop.has(eventLoop)) {
+                    scan.entriesByLoop.set(eventLoop, new Set());
+                }
+                scan.entriesByLoop.get(eventLoop).add(key);
             }
         }
+    }
 
-        // Stop capture when scan is done
-        if (state.next === 0) {
-            stopLogCapture();
+    // Stop capture when scan is done
+    if (state.next === 0) {
+        resolveRecursionProvenance(scan);
+        recordProbabilityRolls(scan, args.sortedEntries || [], timedEffects);
+        attachToGeneration(scan.generationId, 'scan', {
+            loops: Object.fromEntries([...scan.entriesByLoop].map(([loop, keys]) => [loop, [...keys]])),
+            entries: Object.fromEntries(scan.deepTriggerData),
+            recursion: Object.fromEntries(scan.recursionChain),
+            outcomes: Object.fromEntries(scan.scanOutcomes),
+            budgetOverflow: scan.budgetOverflow,
+        });
+        if (scan.budgetOverflow) {
+            console.debug(`[TrackHare] WI budget of ${scan.budgetOverflow.budget} reached at position ${scan.budgetOverflow.cutPosition}, ${scan.budgetOverflow.cutEntries.length} entries cut`);
+        }
+        stopLogCapture(scan);
+    }
+}
+
+/**
+ * Also listen to WORLDINFO_SCAN_DONE as a backup data source
+ */
+function setupScanDoneTracking() {
+    eventSource.on(event_types.WORLDINFO_SCAN_DONE, async (args) => {
+        const eventLoop = args.state.loopCount;
+        const scan = resolveEventScan(eventLoop);
+        if (!scan) return;
+
+        // Late loops of a generation that already finished would mix into the next one
+        if (!isGenerationOpen(scan.generationId)) {
+            console.debug(`[TrackHare] Dropping scan loop ${eventLoop} of finished generation #${scan.generationId}`);
+            stopLogCapture(scan, 'late');
+            return;
+        }
+        scanByEvent.set(args, scan);
+
+        // A throw mid-scan would leave the capture open, and its lines would land in the next scan
+        try {
+            await recordScanLoop(scan, args);
+        } catch (error) {
+            console.warn('[TrackHare] Failed to record WI scan loop:', error);
+            stopLogCapture(scan, 'error');
         }
     });
 }
 
+// =============================================================================
+// BUDGET OVERFLOW - Entries that matched but were cut by the WI token budget
+// ST drops the rest of the activation order silently once the budget fills up
+// =============================================================================
+
+/**
+ * Budget overflow record of a scan, created by whichever reports it first - the log or the event
+ */
+function getBudgetOverflowRecord(scan, budget, loop) {
+    scan.budgetOverflow ??= {
+        budget,
+        budgetPercent: world_info_budget,
+        budgetCap: world_info_budget_cap,
+        loop,
+        // Entries already in the prompt when the budget ran out
+        activatedBefore: null,
+        // 1-based position in the activation order where ST stopped
+        cutPosition: null,
+        cutOrder: null,
+        tokensUsed: null,
+        cutEntries: [],
+        timestamp: Date.now(),
+    };
+    return scan.budgetOverflow;
+}
+
+/**
+ * Entries of this loop that were activated but never reached the prompt
+ * Probability failures are dropped in the same pass - those aren't budget cuts
+ */
+function findCutEntries(scan, newEntries) {
+    const successful = new Set((newEntries?.successful || []).map(e => getEntryKey(e.world, e.uid)));
+    return (newEntries?.all || [])
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => !successful.has(getEntryKey(entry.world, entry.uid)))
+        .filter(({ entry }) => lookupByEntry(scan.scanOutcomes, entry)?.outcome !== 'probability');
+}
+
+/**
+ * Record an overflow seen on one scan loop - the first one fills in where ST stopped
+ */
+async function recordBudgetOverflow(scan, args) {
+    const { state, budget } = args;
+    const activatedCount = args.activated?.entries?.size ?? null;
+    const cut = findCutEntries(scan, args.new);
+    const report = getBudgetOverflowRecord(scan, budget.current ?? null, state.loopCount);
+
+    if (report.tokensUsed === null) {
+        report.budget ??= budget.current ?? null;
+        report.activatedBefore = activatedCount;
+        report.cutPosition = activatedCount !== null ? activatedCount + 1 : null;
+        report.cutOrder = cut[0]?.entry.order ?? null;
+        report.tokensUsed = await countTokens(args.activated?.text);
+    }
+
+    for (const { entry, index } of cut) {
+        report.cutEntries.push({
+            key: getEntryKey(entry.world, entry.uid),
+            uid: entry.uid,
+            world: entry.world,
+            name: entry.comment || entry.key?.[0] || `Entry #${entry.uid}`,
+            order: entry.order ?? null,
+            loop: state.loopCount,
+            loopPosition: index + 1,
+        });
+    }
+}
+
+// =============================================================================
+// RECURSION PROVENANCE
+// =============================================================================
+
+/**
+ * Find the entries whose content actually contains a recursively activated entry's keys
+ * Only entries that made it into the prompt in an earlier loop feed the recursion buffer;
+ * candidates are tried newest loop first, so sources[0] is the most likely trigger
+ */
+function findRecursionSources(scan, target, loop) {
+    const sources = [];
+    for (let sourceLoop = loop - 1; sourceLoop >= 1; sourceLoop--) {
+        for (const sourceKey of scan.entriesByLoop.get(sourceLoop) || []) {
+            const source = scan.scannedEntries.get(sourceKey);
+            if (!source || !scan.successfulKeys.has(sourceKey) || source.preventRecursion) continue;
+
+            const match = entryMatchesContent(source.content || '', target);
+            if (!match.matches) continue;
+
+            sources.push({
+                key: sourceKey,
+                uid: source.uid,
+                world: source.world,
+                name: source.comment || source.key?.[0] || `Entry #${source.uid}`,
+                loop: sourceLoop,
+                matchedKey: match.matchedKey,
+                offset: match.offset,
+                secondaryLogic: match.secondaryLogic,
+                matchedSecondaryKeys: match.matchedSecondaryKeys,
+            });
+        }
+    }
+    return sources;
+}
+
+/**
+ * Replace the provisional "everything from the previous loop" chain with the
+ * entries whose content really matched. Entries with no matching source are
+ * marked unresolved (e.g. delayed entries that matched the chat on a later loop)
+ */
+function resolveRecursionProvenance(scan) {
+    for (const [key, chain] of scan.recursionChain) {
+        const info = scan.deepTriggerData.get(key);
+        const target = scan.scannedEntries.get(key);
+        if (!info || !target || info.loopCount <= 1) continue;
+
+        const sources = findRecursionSources(scan, target, info.loopCount);
+        scan.recursionChain.set(key, {
+            ...chain,
+            triggeredBy: sources.map(source => source.key),
+            source: sources[0] || null,
+            sources,
+            provenance: sources.length ? 'matched' : 'unresolved',
+        });
+
+        // Content matching tells us the key even when the log didn't
+        if (sources[0] && !info.matchedKeyword) {
+            scan.deepTriggerData.set(key, { ...info, matchedKeyword: sources[0].matchedKey });
+        }
+    }
+}
+
+// =============================================================================
+// PROBABILITY TRACKING
+// =============================================================================
+
+/**
+ * Whether an entry actually rolls for activation (ST defaults to useProbability with 100%)
+ */
+function isProbabilistic(entry) {
+    return entry.useProbability !== false && typeof entry.probability === 'number' && entry.probability < 100;
+}
+
+/**
+ * Record the roll outcome for every probabilistic entry that reached the roll
+ * Entries that never matched don't roll, so they aren't recorded.
+ * Dry runs roll too, but their result is thrown away - they stay out of the history
+ */
+function recordProbabilityRolls(scan, sortedEntries, timedEffects) {
+    for (const entry of sortedEntries) {
+        if (!isProbabilistic(entry)) continue;
+
+        const key = getEntryKey(entry.world, entry.uid);
+        let outcome = null;
+        if (scan.successfulKeys.has(key)) {
+            // Sticky entries skip the roll entirely
+            outcome = timedEffects?.isEffectActive?.('sticky', entry) ? 'skipped_sticky' : 'passed';
+        } else if (lookupByEntry(scan.scanOutcomes, entry)?.outcome === 'probability') {
+            outcome = 'failed';
+        }
+        if (!outcome) continue;
+
+        const roll = {
+            uid: entry.uid,
+            world: entry.world,
+            entryName: entry.comment || entry.uid,
+            probability: entry.probability,
+            outcome,
+            timestamp: Date.now(),
+        };
+        scan.probabilityResults.set(key, roll);
+        if (scan.dryRun) continue;
+
+        const history = probabilityHistory.get(key) || [];
+        history.push(roll);
+        if (history.length > PROBABILITY_HISTORY_LIMIT) history.shift();
+        probabilityHistory.set(key, history);
+    }
+
+    if (scan.probabilityResults.size > 0) {
+        console.debug(`[TrackHare] Recorded ${scan.probabilityResults.size} probability rolls`);
+    }
+}
+
+/**
+ * Summarize roll history - sticky skips don't count towards the pass rate
+ */
+function summarizeRolls(history) {
+    const passed = history.filter(r => r.outcome === 'passed').length;
+    const failed = history.filter(r => r.outcome === 'failed').length;
+    const skipped = history.filter(r => r.outcome === 'skipped_sticky').length;
+    const rolls = passed + failed;
+    return {
+        rolls,
+        passed,
+        failed,
+        skipped,
+        passRate: rolls > 0 ? passed / rolls : null,
+        expectedRate: history.length ? history[history.length - 1].probability / 100 : null,
+    };
+}
+
 /**
  * Setup generation tracking hooks
  */
 function setupGenerationTracking() {
+    // Generation context has already registered the new generation and closed abandoned ones
     eventSource.on(event_types.GENERATION_STARTED, () => {
-        startLogCapture();
+        stopFinishedCaptures('restarted');
+        const scan = startLogCapture();
+        if (scan.updatesPanel) clearTriggerSourceAttributions();
     });
 
     eventSource.on(event_types.GENERATION_ENDED, () => {
-        stopLogCapture();
+        stopFinishedCaptures('done');
+    });
+
+    // Stopped generations may never reach the end of the scan
+    eventSource.on(event_types.GENERATION_STOPPED, () => {
+        stopFinishedCaptures('stopped');
+    });
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+        [...activeScans].forEach(scan => stopLogCapture(scan, 'chat_changed'));
+        // Another chat's budget warning means nothing here
+        panelScan.budgetOverflow = null;
     });
 }
 
@@ -262,48 +789,69 @@ function setupGenerationTracking() {
 
 /**
  * Get deep trigger info for an entry
+ * Takes (entry), (world, uid) or a world§§§uid key; a bare uid still works for old callers
  */
-export function getDeepTriggerInfo(uid) {
-    return deepTriggerData.get(uid) || null;
+export function getDeepTriggerInfo(worldOrEntry, uid) {
+    return lookupByEntry(panelScan.deepTriggerData, worldOrEntry, uid);
 }
 
 /**
- * Get recursion chain info for an entry
+ * Get recursion chain info for an entry - triggeredBy holds world§§§uid keys
+ * Once the scan finishes, source is the entry whose content matched: { key, uid, world, name, loop, matchedKey, offset }
  */
-export function getRecursionChain(uid) {
-    return recursionChain.get(uid) || null;
+export function getRecursionChain(worldOrEntry, uid) {
+    return lookupByEntry(panelScan.recursionChain, worldOrEntry, uid);
 }
 
 /**
- * Get probability result (deprecated)
+ * Get probability roll info for an entry: this generation's roll, history and pass rate
+ * Returns null if the entry has never rolled
  */
-export function getProbabilityResult(uid) {
-    return null;
+export function getProbabilityResult(worldOrEntry, uid) {
+    const history = lookupByEntry(probabilityHistory, worldOrEntry, uid);
+    if (!history?.length) return null;
+
+    return {
+        current: lookupByEntry(panelScan.probabilityResults, worldOrEntry, uid),
+        history: [...history],
+        stats: summarizeRolls(history),
+    };
 }
 
 /**
- * Get trigger reason for an entry
+ * Trigger reason for an entry as one scan saw it
  */
-export function getTriggerReason(entry) {
-    const deepInfo = getDeepTriggerInfo(entry.uid);
+function getScanTriggerReason(scan, entry) {
+    const deepInfo = lookupByEntry(scan.deepTriggerData, entry);
     if (deepInfo?.reason) return deepInfo.reason;
     return determineTriggerReason(entry, null).reason;
 }
 
+/**
+ * Get trigger reason for an entry
+ */
+export function getTriggerReason(entry) {
+    return getScanTriggerReason(panelScan, entry);
+}
+
 /**
  * Get enhanced trigger details for an entry
  */
 export function getEnhancedTriggerDetails(entry) {
-    const deepInfo = getDeepTriggerInfo(entry.uid);
-    const chainInfo = getRecursionChain(entry.uid);
+    const deepInfo = getDeepTriggerInfo(entry);
+    const chainInfo = getRecursionChain(entry);
 
     if (deepInfo) {
         return {
             reason: deepInfo.reason,
+            // Parsed from a [WI] log line, or guessed from the entry when the log said nothing
+            reasonSource: deepInfo.reasonSource ?? 'fallback',
             confident: deepInfo.confident ?? true,
+            confidence: deepInfo.confidence ?? null,
             recursionLevel: deepInfo.recursionLevel ?? 0,
             loopCount: deepInfo.loopCount ?? 1,
             triggeredBy: chainInfo?.triggeredBy || [],
+            recursionSource: chainInfo?.source || null,
             isRecursive: (deepInfo.recursionLevel ?? 0) > 0,
             matchedKeyword: deepInfo.matchedKeyword || null,
             world: deepInfo.world,
@@ -314,10 +862,12 @@ export function getEnhancedTriggerDetails(entry) {
     const fallback = determineTriggerReason(entry, null);
     return {
         reason: fallback.reason,
+        reasonSource: 'fallback',
         confident: fallback.confident,
         recursionLevel: 0,
         loopCount: 1,
         triggeredBy: [],
+        recursionSource: null,
         isRecursive: false,
         matchedKeyword: null,
         world: entry.world,
@@ -326,10 +876,22 @@ export function getEnhancedTriggerDetails(entry) {
 }
 
 /**
- * Classify trigger reason (wrapper)
+ * Classify trigger reason, attributing key matches to the scan source that contained the key
+ * A match outside the chat (persona, character card, scenario, Author's Note) replaces the
+ * generic key-match reason; chat matches keep it. See getTriggerSourceAttribution for details
  */
 export function classifyTriggerReasonFromEntry(entry, contextData = {}) {
-    return getTriggerReason(entry);
+    const scan = getScan(contextData.generationId);
+    const reason = getScanTriggerReason(scan, entry);
+    if (!KEY_MATCH_REASONS.has(reason)) return reason;
+
+    // Recursive activations matched other entries' content, not a scan source
+    if ((lookupByEntry(scan.deepTriggerData, entry)?.recursionLevel ?? 0) > 0) return reason;
+
+    // Only the panel's generation replaces the attributions the panel reads
+    const attribution = attributeTriggerSource(entry, { ...contextData, record: scan.updatesPanel });
+    if (!attribution || attribution.source === 'chat') return reason;
+    return attribution.reason;
 }
 
 /**
@@ -343,8 +905,9 @@ export function analyzeEntrySettings(entry) {
             preventRecursion: entry.preventRecursion,
         },
         scanning: {
-            scanPersona: entry.scanPersona,
-            scanCharacter: entry.scanCharacter,
+            scanPersona: entry.matchPersonaDescription ?? entry.scanPersona,
+            scanCharacter: (entry.matchCharacterDescription || entry.matchCharacterPersonality || entry.matchCharacterDepthPrompt) ?? entry.scanCharacter,
+            scanScenario: entry.matchScenario ?? entry.scanScenario,
             scanStory: entry.scanStory,
             scanAuthorNote: entry.scanAuthorNote || entry.scanAN,
             scanDepth: entry.scanDepth,
@@ -364,12 +927,34 @@ export function analyzeEntrySettings(entry) {
 }
 
 /**
- * Analyze trigger source (for message-based analysis)
+ * Find every primary and secondary key of an entry in one message
+ */
+function locateKeysInMessage(entry, text, messageIndex, speaker) {
+    const found = [];
+    const scan = (keys, type) => {
+        for (const key of keys || []) {
+            const trimmed = key?.trim();
+            const span = trimmed ? findKeySpan(text, trimmed, entry) : null;
+            if (span) found.push({ key: trimmed, type, messageIndex, speaker, start: span.start, end: span.end });
+        }
+    };
+    scan(entry.key, 'primary');
+    if (entry.selective) scan(entry.keysecondary, 'secondary');
+    return found;
+}
+
+/**
+ * Analyze trigger source - locate the chat messages whose text matched the entry's keys
+ * @param {Object} entry
+ * @param {Array<Object>} [chatMessages=chat] - Chat to scan; only the entry's scan window is read
+ * @returns {Object} { matchedKeys: [{ key, type, messageIndex, speaker, start, end, inSpeakerName }],
+ *   triggeringMessages: [{ messageIndex, speaker, keys }], secondaryLogic, triggerReason, triggerSource }
  */
-export function analyzeTriggerSource(entry, recentMessages) {
+export function analyzeTriggerSource(entry, chatMessages = chat) {
     const analysis = {
         matchedKeys: [],
         triggeringMessages: [],
+        secondaryLogic: null,
         triggerReason: 'normal',
         triggerSource: 'unknown',
     };
@@ -393,6 +978,32 @@ export function analyzeTriggerSource(entry, recentMessages) {
         return analysis;
     }
 
+    // The same window source attribution reads - offsets are into the message text
+    const scanWindow = getChatScanWindow(entry, chatMessages);
+    for (const source of scanWindow) {
+        const found = locateKeysInMessage(entry, source.text, source.messageIndex, source.speaker)
+            .map(k => ({ ...k, start: k.start - source.prefixLength, end: k.end - source.prefixLength, inSpeakerName: k.start < source.prefixLength }));
+        if (!found.length) continue;
+
+        analysis.matchedKeys.push(...found);
+        if (found.some(k => k.type === 'primary')) {
+            analysis.triggeringMessages.push({ messageIndex: source.messageIndex, speaker: source.speaker, keys: found });
+        }
+    }
+
+    if (!analysis.triggeringMessages.length) return analysis;
+
+    // ST checks secondary logic against the whole scan buffer, not message by message
+    if (entry.selective && entry.keysecondary?.length) {
+        const buffer = scanWindow.map(source => source.text).join('\n');
+        const secondary = checkSecondaryKeys(buffer, entry);
+        analysis.secondaryLogic = { logic: secondary.logic, passes: secondary.passes };
+        analysis.triggerReason = secondary.passes ? 'key_match_selective' : 'secondary_failed';
+    } else {
+        analysis.triggerReason = 'key_match';
+    }
+    analysis.triggerSource = 'chat';
+
     return analysis;
 }
 
@@ -400,22 +1011,85 @@ export function analyzeTriggerSource(entry, recentMessages) {
  * Get raw tracking data for debugging
  */
 export function getDeepTriggerDataRaw() {
-    return deepTriggerData;
+    return panelScan.deepTriggerData;
 }
 
 export function getRecursionChainRaw() {
-    return recursionChain;
+    return panelScan.recursionChain;
 }
 
 export function getProbabilityResultsRaw() {
-    return new Map(); // Deprecated
+    return panelScan.probabilityResults;
+}
+
+export function getProbabilityHistoryRaw() {
+    return probabilityHistory;
+}
+
+/**
+ * Get the scan outcome recorded for an entry (matched / rejected and why)
+ */
+export function getScanOutcome(worldOrEntry, uid) {
+    return lookupByEntry(panelScan.scanOutcomes, worldOrEntry, uid);
+}
+
+/**
+ * Get every entry the last scan considered - world§§§uid -> entry
+ */
+export function getScannedEntries() {
+    return panelScan.scannedEntries;
+}
+
+/**
+ * Whether an entry made it into the prompt during the last scan
+ */
+export function wasEntryActivated(worldOrEntry, uid) {
+    const identity = resolveEntryIdentity(worldOrEntry, uid);
+    if (identity.world !== undefined) return panelScan.successfulKeys.has(getEntryKey(identity.world, identity.uid));
+    return [...panelScan.successfulKeys].some(key => key.endsWith(`§§§${identity.uid}`));
+}
+
+/**
+ * Get raw inclusion group log events from the last scan
+ */
+export function getGroupLogEvents() {
+    return panelScan.groupLogEvents;
+}
+
+/**
+ * Get budget overflow info for the last scan, or null if the budget held
+ * @returns {Object|null} { budget, budgetPercent, budgetCap, loop, activatedBefore, cutPosition, cutOrder, tokensUsed, cutEntries }
+ */
+export function getBudgetOverflow() {
+    return panelScan.budgetOverflow;
 }
 
 /**
  * Get entries by loop for debugging
  */
 export function getEntriesByLoop() {
-    return entriesByLoop;
+    return panelScan.entriesByLoop;
+}
+
+/**
+ * Whether a WORLDINFO_SCAN_DONE payload was recorded into the scan the panel reads
+ * Listeners registered after trigger tracking use it to leave quiet prompts, dry runs
+ * and late loops of finished generations out of what the panel shows
+ * @param {Object} args - The event payload
+ * @returns {boolean}
+ */
+export function isPanelScanEvent(args) {
+    const scan = scanByEvent.get(args);
+    return !!scan && scan === panelScan;
+}
+
+/**
+ * Get the scan state recorded for a generation
+ * @param {number} generationId
+ * @returns {Object|null} { generationId, dryRun, updatesPanel, deepTriggerData, recursionChain, scanOutcomes, ... }
+ */
+export function getScanState(generationId) {
+    return scans.get(generationId) || null;
 }
 
 /**
@@ -2,11 +2,17 @@
 // UI COMPONENTS - Trigger button, config panel, and interaction handlers
 // =============================================================================
 
-import { extension_settings } from '../../../../extensions.js';
+import { extension_settings, getContext } from '../../../../extensions.js';
 import { saveSettingsDebounced } from '../../../../../script.js';
 import { uiState, DOUBLE_TAP_DELAY, DOUBLE_TAP_DISTANCE, MOVE_THRESHOLD, saveTriggerPosition, saveTriggerSize, loadTriggerPosition, loadTriggerSize } from './ui-state.js';
 import { showTokenItemizer, areMarkersEnabled, enableMarkers, disableMarkers } from './token-itemizer.js';
 import { showRecursionVisualizer } from './recursion-visualizer.js';
+import { showWILogViewer } from './wi-log.js';
+import { showAnalyticsDashboard } from './analytics-dashboard.js';
+import { GENERATION_TYPES, isPanelGenerationType } from './generation-context.js';
+import { refreshChatHighlights } from './chat-highlights.js';
+import { refreshPanel } from './main-panel.js';
+import { getRetentionSettings, applyRetention, getRecorderStats, purgeRecordedTraces, formatBytes } from './trace-recorder.js';
 
 // Carrot compass SVG icon
 const CARROT_SVG = `
@@ -81,17 +87,49 @@ export function createConfigPanel() {
 
     // Settings rows
     const settings = [
-        {
-            label: '📚 Group by World',
-            key: 'worldBookGroup',
-            default: true,
-            description: 'Group entries by their worldbook',
-        },
         {
             label: '🔍 Debug Mode',
             key: 'worldBookDebug',
             default: false,
             description: 'Show detailed trigger information',
+            onChange: () => refreshPanel(),
+        },
+        {
+            label: '🔎 Near-Miss Analysis',
+            key: 'showNearMisses',
+            default: true,
+            description: 'Explain why inactive entries did not fire',
+        },
+        {
+            label: '⏳ Timed Effects',
+            key: 'showTimedEffects',
+            default: true,
+            description: 'Show sticky, cooldown and delay countdowns',
+        },
+        {
+            label: '👥 Inclusion Groups',
+            key: 'showGroupContests',
+            default: true,
+            description: 'Show inclusion group winners and losers',
+        },
+        {
+            label: '🖍️ Highlight Keywords',
+            key: 'highlightKeywords',
+            default: false,
+            description: 'Highlight the words in the chat that triggered lorebook entries',
+            onChange: () => refreshChatHighlights(),
+        },
+        {
+            label: '📸 Message Snapshots',
+            key: 'saveSnapshots',
+            default: true,
+            description: 'Save what fired with each message so it can be reviewed later',
+        },
+        {
+            label: '🗄️ Record Traces',
+            key: 'recordTraces',
+            default: true,
+            description: 'Keep every generation trace in the browser so it survives a reload',
         },
         {
             label: '🥔 Potato Mode',
@@ -101,11 +139,19 @@ export function createConfigPanel() {
         },
     ];
 
-    settings.forEach(({ label, key, default: defaultVal, description }) => {
-        const row = createSettingRow(label, key, defaultVal, description);
+    settings.forEach(({ label, key, default: defaultVal, description, onChange }) => {
+        const row = createSettingRow(label, key, defaultVal, description, onChange);
         configPanel.appendChild(row);
     });
 
+    // Which generation types update the panel
+    const generationTypesRow = createGenerationTypesRow();
+    configPanel.appendChild(generationTypesRow);
+
+    // Recorded trace retention and purge
+    const traceHistoryRow = createTraceHistoryRow();
+    configPanel.appendChild(traceHistoryRow);
+
     // Sort method dropdown
     const sortRow = createSortDropdown();
     configPanel.appendChild(sortRow);
@@ -122,13 +168,21 @@ export function createConfigPanel() {
     const recursionRow = createRecursionVisualizerButton();
     configPanel.appendChild(recursionRow);
 
+    // Analytics dashboard button
+    const analyticsRow = createAnalyticsDashboardButton();
+    configPanel.appendChild(analyticsRow);
+
+    // [WI] log viewer button
+    const logRow = createWILogViewerButton();
+    configPanel.appendChild(logRow);
+
     return configPanel;
 }
 
 /**
  * Create a toggle setting row
  */
-function createSettingRow(label, key, defaultVal, description) {
+function createSettingRow(label, key, defaultVal, description, onChange = null) {
     const row = document.createElement('div');
     row.classList.add('ck-config-row');
 
@@ -146,10 +200,11 @@ function createSettingRow(label, key, defaultVal, description) {
     }
 
     toggle.addEventListener('click', () => {
-        const newValue = !extension_settings.TrackHare[key];
+        const newValue = !(extension_settings.TrackHare[key] ?? defaultVal);
         extension_settings.TrackHare[key] = newValue;
         toggle.classList.toggle('ck-toggle--active', newValue);
         saveSettingsDebounced();
+        onChange?.(newValue);
     });
 
     row.appendChild(labelEl);
@@ -157,6 +212,151 @@ function createSettingRow(label, key, defaultVal, description) {
     return row;
 }
 
+/**
+ * Create the "panel updates from" row - one chip per generation type
+ */
+function createGenerationTypesRow() {
+    const row = document.createElement('div');
+    row.classList.add('ck-config-row', 'ck-config-row--wrap');
+
+    const label = document.createElement('span');
+    label.classList.add('ck-config-label');
+    label.textContent = '🎬 Update Panel On';
+    label.title = 'Generation types whose lore replaces what the panel shows. The others are still recorded.';
+
+    const chips = document.createElement('div');
+    chips.classList.add('ck-gentype-chips');
+
+    Object.entries(GENERATION_TYPES).forEach(([type, { emoji, text }]) => {
+        const chip = document.createElement('button');
+        chip.classList.add('ck-gentype-chip');
+        chip.textContent = `${emoji} ${text}`;
+        chip.classList.toggle('ck-gentype-chip--active', isPanelGenerationType(type));
+
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const enabled = !isPanelGenerationType(type);
+            extension_settings.TrackHare.panelGenerationTypes = {
+                ...extension_settings.TrackHare.panelGenerationTypes,
+                [type]: enabled,
+            };
+            chip.classList.toggle('ck-gentype-chip--active', enabled);
+            saveSettingsDebounced();
+        });
+        chips.appendChild(chip);
+    });
+
+    row.appendChild(label);
+    row.appendChild(chips);
+    return row;
+}
+
+/**
+ * Create the recorded trace history row - retention limits, usage and purge buttons
+ */
+function createTraceHistoryRow() {
+    const row = document.createElement('div');
+    row.classList.add('ck-config-row', 'ck-config-row--wrap');
+
+    const label = document.createElement('span');
+    label.classList.add('ck-config-label');
+    label.textContent = '🗄️ Trace History';
+    label.title = 'Recorded traces are trimmed to the newest generations per chat, the last days, and a total size. 0 means no limit.';
+
+    const stats = document.createElement('span');
+    stats.classList.add('ck-trace-history__stats');
+
+    const limits = document.createElement('div');
+    limits.classList.add('ck-trace-history__limits');
+
+    const retention = getRetentionSettings();
+    [
+        { key: 'generations', suffix: 'gens/chat' },
+        { key: 'days', suffix: 'days' },
+        { key: 'megabytes', suffix: 'MB' },
+    ].forEach(({ key, suffix }) => {
+        const field = document.createElement('label');
+        field.classList.add('ck-trace-history__limit');
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.classList.add('ck-trace-history__input');
+        input.value = String(retention[key]);
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('change', async () => {
+            extension_settings.TrackHare.traceRetention = {
+                ...getRetentionSettings(),
+                [key]: Math.max(0, Number(input.value) || 0),
+            };
+            saveSettingsDebounced();
+            await applyRetention().catch(error => console.warn('[TrackHare] Failed to apply trace retention:', error));
+            refreshStats();
+        });
+
+        field.appendChild(input);
+        field.append(` ${suffix}`);
+        limits.appendChild(field);
+    });
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('ck-trace-history__buttons');
+
+    const purge = async (chatId, question) => {
+        if (!confirm(question)) return;
+        try {
+            const deleted = await purgeRecordedTraces(chatId);
+            toastr.info(`Deleted ${deleted} recorded trace${deleted === 1 ? '' : 's'}`, 'TrackHare');
+        } catch (error) {
+            console.warn('[TrackHare] Failed to purge traces:', error);
+        }
+        refreshStats();
+    };
+
+    const purgeChatButton = document.createElement('button');
+    purgeChatButton.classList.add('ck-trace-history__button');
+    purgeChatButton.textContent = 'Purge Chat';
+    purgeChatButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const chatId = getContext()?.chatId;
+        if (!chatId) return;
+        purge(chatId, 'Delete the recorded traces of this chat?');
+    });
+
+    const purgeAllButton = document.createElement('button');
+    purgeAllButton.classList.add('ck-trace-history__button');
+    purgeAllButton.textContent = 'Purge All';
+    purgeAllButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        purge(null, 'Delete the recorded traces of every chat?');
+    });
+
+    buttons.appendChild(purgeChatButton);
+    buttons.appendChild(purgeAllButton);
+
+    async function refreshStats() {
+        try {
+            const { count, bytes, chats } = await getRecorderStats();
+            const chatId = getContext()?.chatId;
+            const current = chats.find(chat => chat.chatId === chatId);
+            stats.textContent = `${current?.count || 0} here • ${count} total • ${formatBytes(bytes)}`;
+        } catch (error) {
+            stats.textContent = 'Unavailable';
+        }
+    }
+
+    // Usage changes with every generation - refresh when the user comes to look
+    row.addEventListener('pointerenter', refreshStats);
+    refreshStats();
+
+    row.appendChild(label);
+    row.appendChild(stats);
+    row.appendChild(limits);
+    row.appendChild(buttons);
+    return row;
+}
+
 /**
  * Create sort method dropdown
  */
@@ -316,6 +516,88 @@ function createRecursionVisualizerButton() {
     return row;
 }
 
+/**
+ * Create analytics dashboard button
+ */
+function createAnalyticsDashboardButton() {
+    const row = document.createElement('div');
+    row.classList.add('ck-config-row');
+    row.style.cssText = 'cursor: pointer; transition: background 0.2s; background: linear-gradient(135deg, rgba(16, 185, 129, 0.1) 0%, rgba(59, 130, 246, 0.1) 100%);';
+
+    const label = document.createElement('span');
+    label.classList.add('ck-config-label');
+    label.textContent = '📈 Lorebook Analytics';
+
+    const hint = document.createElement('span');
+    hint.style.cssText = 'font-size: 11px; opacity: 0.7;';
+    hint.textContent = 'Fire rates and dead entries';
+
+    row.appendChild(label);
+    row.appendChild(hint);
+
+    row.addEventListener('click', () => {
+        showAnalyticsDashboard();
+        uiState.configPanel?.classList.remove('ck-config-panel--active');
+    });
+
+    row.addEventListener('mouseenter', () => {
+        row.style.background = 'linear-gradient(135deg, rgba(16, 185, 129, 0.2) 0%, rgba(59, 130, 246, 0.2) 100%)';
+    });
+    row.addEventListener('mouseleave', () => {
+        row.style.background = 'linear-gradient(135deg, rgba(16, 185, 129, 0.1) 0%, rgba(59, 130, 246, 0.1) 100%)';
+    });
+
+    return row;
+}
+
+/**
+ * Create [WI] log viewer button
+ */
+function createWILogViewerButton() {
+    const row = document.createElement('div');
+    row.classList.add('ck-config-row');
+    row.style.cssText = 'cursor: pointer; transition: background 0.2s; background: linear-gradient(135deg, rgba(100, 116, 139, 0.1) 0%, rgba(148, 163, 184, 0.1) 100%);';
+
+    const label = document.createElement('span');
+    label.classList.add('ck-config-label');
+    label.textContent = '📜 [WI] Log';
+
+    const hint = document.createElement('span');
+    hint.style.cssText = 'font-size: 11px; opacity: 0.7;';
+    hint.textContent = 'Raw scan log per generation';
+
+    row.appendChild(label);
+    row.appendChild(hint);
+
+    row.addEventListener('click', () => {
+        showWILogViewer();
+        uiState.configPanel?.classList.remove('ck-config-panel--active');
+    });
+
+    row.addEventListener('mouseenter', () => {
+        row.style.background = 'linear-gradient(135deg, rgba(100, 116, 139, 0.2) 0%, rgba(148, 163, 184, 0.2) 100%)';
+    });
+    row.addEventListener('mouseleave', () => {
+        row.style.background = 'linear-gradient(135deg, rgba(100, 116, 139, 0.1) 0%, rgba(148, 163, 184, 0.1) 100%)';
+    });
+
+    return row;
+}
+
+/**
+ * Open the main panel from outside the trigger (e.g. a chat message button)
+ */
+export function openPanel() {
+    const panel = uiState.panel;
+    if (!panel) return;
+
+    uiState.configPanel?.classList.remove('ck-config-panel--active');
+    if (!panel.classList.contains('ck-panel--active')) {
+        panel.classList.add('ck-panel--active');
+        setupDocumentClickHandler(panel, false);
+    }
+}
+
 /**
  * Setup click-outside handler to close panels
  */
@@ -36,6 +36,19 @@ export const uiState = {
     count: -1,
     currentEntryList: [],
     currentChat: [],
+
+    // Set while the panel shows a stored message snapshot instead of live data
+    snapshotView: null, // { messageId, timestamp }
+
+    // Panel search/filter bar - kept across re-renders
+    panelFilters: {
+        search: '',
+        reasons: [],
+        worlds: [],
+        levels: [],
+        positions: [],
+        newOnly: false,
+    },
 };
 
 // Constants
@@ -4,13 +4,22 @@
 // =============================================================================
 
 import { event_types, eventSource } from '../../../../../script.js';
+import { attachToGeneration, getFinishedGenerationId, getGeneration, getGenerationTag, shouldUpdatePanel } from './generation-context.js';
+import { uiState } from './ui-state.js';
+import { refreshPanel } from './main-panel.js';
 
 /**
- * VectHare tracking data - stores the last search results
+ * VectHare search captured for the panel's generation
  * @type {Object|null}
  */
 let lastVectHareSearch = null;
 
+/**
+ * Last VectHare search per generation type - quiet generations don't clobber the shown one
+ * @type {Map<string, Object>}
+ */
+const vectHareByType = new Map();
+
 /**
  * VectHare debug data - detailed pipeline stages
  * @type {Object|null}
@@ -18,15 +27,23 @@ let lastVectHareSearch = null;
 let lastVectHareDebug = null;
 
 /**
- * Get VectHare's last search data from window global
+ * Get a captured VectHare search
+ * VectHare's window global is only read while capturing, where the generation is checked
+ * @param {string} [type] - Generation type slot; defaults to the search the panel shows
  * @returns {Object|null} { chunks, query, timestamp, settings }
  */
-export function getVectHareLastSearch() {
-    // Try to get fresh data from VectHare's window global
-    if (window.VectHare_LastSearch) {
-        lastVectHareSearch = window.VectHare_LastSearch;
-    }
-    return lastVectHareSearch;
+export function getVectHareLastSearch(type = null) {
+    return type ? vectHareByType.get(type) || null : lastVectHareSearch;
+}
+
+/**
+ * Get the VectHare search attached to a generation, capturing it now if the generation
+ * is still open and VectHare has already searched for it
+ * @param {number|null} generationId
+ * @returns {Object|null} { chunks, query, timestamp, settings }
+ */
+export function getGenerationVectHare(generationId) {
+    return getGeneration(generationId)?.data.vectHare ?? captureVectHareData(generationId);
 }
 
 /**
@@ -49,10 +66,10 @@ export function getVectHareDebugData() {
 
 /**
  * Get all VectHare chunk data for display
+ * @param {Object|null} [search] - Defaults to the panel's search
  * @returns {Object} { chunks: Array, query: string, timestamp: number, stats: Object }
  */
-export function getVectHareChunks() {
-    const search = getVectHareLastSearch();
+export function getVectHareChunks(search = getVectHareLastSearch()) {
     if (!search) return { chunks: [], query: '', timestamp: 0, stats: {} };
 
     return {
@@ -115,18 +132,27 @@ export function isVectHareAvailable() {
 }
 
 /**
- * Hook to capture VectHare data after generation
- * This is called alongside our worldbook tracking
+ * Attach VectHare's current search to a generation and keep it in its type's slot
+ * VectHare's global keeps the previous search until it searches again, so a search
+ * older than the generation isn't its own - nor is anything after another generation started.
+ * Only types that update the panel replace the search the panel shows
+ * @param {number|null} generationId
+ * @returns {Object|null} The captured search
  */
-function captureVectHareData() {
-    // Capture current VectHare state
-    if (window.VectHare_LastSearch) {
-        lastVectHareSearch = { ...window.VectHare_LastSearch };
-        console.debug('[TrackHare] Captured VectHare search data:', {
-            chunkCount: lastVectHareSearch.chunks?.length || 0,
-            query: lastVectHareSearch.query?.substring(0, 50) + '...',
-        });
-    }
+function captureVectHareData(generationId) {
+    const current = window.VectHare_LastSearch;
+    const generation = getGeneration(generationId);
+    if (!current || (generation && (current.timestamp || 0) < generation.startedAt)) return null;
+
+    const search = { ...current };
+    if (!attachToGeneration(generationId, 'vectHare', search)) return null;
+    vectHareByType.set(getGenerationTag(generationId).generationType, search);
+    if (shouldUpdatePanel(generationId)) lastVectHareSearch = search;
+    console.debug('[TrackHare] Captured VectHare search data:', {
+        chunkCount: search.chunks?.length || 0,
+        query: search.query?.substring(0, 50) + '...',
+    });
+    return search;
 }
 
 /**
@@ -136,7 +162,11 @@ export function initVectHareIntegration() {
     // Hook VectHare capture into generation events
     eventSource.on(event_types.GENERATION_ENDED, () => {
         // Small delay to ensure VectHare has finished processing
-        setTimeout(captureVectHareData, 100);
+        const generationId = getFinishedGenerationId();
+        setTimeout(() => {
+            // The panel rendered at activation, before the search was captured
+            if (captureVectHareData(generationId) && shouldUpdatePanel(generationId) && !uiState.snapshotView) refreshPanel();
+        }, 100);
     });
 
     console.log('[TrackHare] VectHare integration initialized');
@@ -0,0 +1,280 @@
+// =============================================================================
+// WI LOG - Full ordered [WI] log for each generation, and a viewer for it
+// Trigger tracking feeds every line it sees; the viewer filters by entry,
+// loop and severity and links entries back to their panel rows
+// =============================================================================
+
+import { openPanel } from './ui-components.js';
+import { focusPanelEntry } from './main-panel.js';
+import { getGenerationTag, GENERATION_TYPES } from './generation-context.js';
+import { escapeHtml } from './html.js';
+
+// =============================================================================
+// STATE VARIABLES
+// =============================================================================
+
+/** Logs of recent generations, newest last - { id, generationType, dryRun, startedAt, endedAt, lines } */
+const generationLogs = [];
+
+/** How many generations to keep */
+const GENERATION_LOG_LIMIT = 10;
+
+/** Lines kept per generation - huge lorebooks log thousands */
+const LINE_LIMIT = 5000;
+
+/** Long lines (entry dumps, key lists) are cut to this */
+const LINE_TEXT_LIMIT = 500;
+
+let nextLogId = 1;
+
+/** Severity for each parsed line kind */
+const SEVERITY_BY_KIND = {
+    activation: 'activated',
+    rejection: 'rejected',
+    budget: 'warning',
+    loop: 'structure',
+};
+
+export const LOG_SEVERITIES = {
+    activated: { emoji: '✅', text: 'Activated' },
+    rejected: { emoji: '🚫', text: 'Rejected' },
+    warning: { emoji: '⚠️', text: 'Warning' },
+    structure: { emoji: '🔁', text: 'Loop' },
+    info: { emoji: 'ℹ️', text: 'Info' },
+    unparsed: { emoji: '❔', text: 'Unparsed' },
+};
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Start a fresh log for a generation's scan
+ * @param {number|null} generationId
+ * @returns {Object} The log - pass it to recordWILogLine and endGenerationLog
+ */
+export function beginGenerationLog(generationId) {
+    const log = { id: nextLogId++, ...getGenerationTag(generationId), startedAt: Date.now(), endedAt: null, lines: [], dropped: 0 };
+    generationLogs.push(log);
+    while (generationLogs.length > GENERATION_LOG_LIMIT) generationLogs.shift();
+    return log;
+}
+
+/**
+ * Close a generation's log
+ * @param {Object|null} log - From beginGenerationLog
+ */
+export function endGenerationLog(log) {
+    if (log) log.endedAt = Date.now();
+}
+
+/**
+ * Append one parsed [WI] line to a generation's log
+ * @param {Object|null} log - From beginGenerationLog
+ * @param {Object} line - Normalized line from the parser ({ text, message, uidText })
+ * @param {Object} matches - Parser matches by kind
+ * @param {Object} context - { loop, ref: { uid, world, key } | null }
+ */
+export function recordWILogLine(log, line, matches, { loop, ref }) {
+    if (!log) return;
+    if (log.lines.length >= LINE_LIMIT) {
+        log.dropped++;
+        return;
+    }
+
+    const kinds = Object.keys(matches);
+    const primaryKind = ['budget', 'loop', 'rejection', 'activation'].find(kind => matches[kind]) || kinds[0] || null;
+
+    log.lines.push({
+        index: log.lines.length,
+        timestamp: Date.now(),
+        loop,
+        text: line.text.length > LINE_TEXT_LIMIT ? `${line.text.slice(0, LINE_TEXT_LIMIT)}…` : line.text,
+        uid: ref?.uid ?? null,
+        world: ref?.world ?? null,
+        key: ref?.key ?? null,
+        kind: primaryKind,
+        ruleId: primaryKind ? matches[primaryKind].ruleId : null,
+        severity: primaryKind ? SEVERITY_BY_KIND[primaryKind] || 'info' : 'unparsed',
+    });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Get the [WI] log for a generation
+ * @param {number} [id] - Log id; defaults to the most recent generation
+ * @returns {Object|null} { id, generationType, dryRun, startedAt, endedAt, lines: [{ index, loop, text, uid, world, key, kind, ruleId, severity }], dropped }
+ */
+export function getWILog(id = null) {
+    if (id === null) return generationLogs[generationLogs.length - 1] || null;
+    return generationLogs.find(log => log.id === id) || null;
+}
+
+/**
+ * Get summaries of every stored generation log, newest first
+ * @returns {Array<{ id, generationType, dryRun, startedAt, endedAt, lineCount }>}
+ */
+export function getWILogHistory() {
+    return generationLogs.map(log => ({
+        id: log.id,
+        generationType: log.generationType,
+        dryRun: log.dryRun,
+        startedAt: log.startedAt,
+        endedAt: log.endedAt,
+        lineCount: log.lines.length,
+    })).reverse();
+}
+
+// =============================================================================
+// VIEWER
+// =============================================================================
+
+/**
+ * Lines of a log that pass the current filters
+ */
+function filterLines(log, filters) {
+    const search = filters.search.trim().toLowerCase();
+    return log.lines.filter(line =>
+        (filters.entry === '' || line.key === filters.entry)
+        && (filters.loop === '' || line.loop === Number(filters.loop))
+        && (filters.severity === '' || line.severity === filters.severity)
+        && (!search || line.text.toLowerCase().includes(search)),
+    );
+}
+
+/**
+ * Filter option lists for a log
+ */
+function buildFilterOptions(log) {
+    const entries = new Map();
+    const loops = new Set();
+    for (const line of log.lines) {
+        if (line.key && !entries.has(line.key)) entries.set(line.key, `#${line.uid}${line.world ? ` (${line.world})` : ''}`);
+        loops.add(line.loop);
+    }
+
+    return {
+        entries: ['<option value="">All entries</option>', ...[...entries].map(([key, label]) => `<option value="${escapeHtml(key)}">${escapeHtml(label)}</option>`)].join(''),
+        loops: ['<option value="">All loops</option>', ...[...loops].sort((a, b) => a - b).map(loop => `<option value="${loop}">Loop ${loop}</option>`)].join(''),
+        severities: ['<option value="">All severities</option>', ...Object.entries(LOG_SEVERITIES).map(([value, s]) => `<option value="${value}">${s.emoji} ${s.text}</option>`)].join(''),
+    };
+}
+
+/**
+ * Render one log line
+ */
+function renderLine(line) {
+    const severity = LOG_SEVERITIES[line.severity] || LOG_SEVERITIES.info;
+    const text = escapeHtml(line.text);
+
+    // Turn the "Entry N" prefix into a link to the panel row
+    const linked = line.key
+        ? text.replace(/Entry \d+/, match => `<a class="ck-wilog-line__entry" data-ck-entry-key="${escapeHtml(line.key)}" title="Show in panel">${match}</a>`)
+        : text;
+
+    return `
+        <div class="ck-wilog-line ck-wilog-line--${line.severity}" title="${escapeHtml(line.ruleId || 'No parser rule matched')}">
+            <span class="ck-wilog-line__index">${line.index + 1}</span>
+            <span class="ck-wilog-line__loop">L${line.loop}</span>
+            <span class="ck-wilog-line__severity">${severity.emoji}</span>
+            <span class="ck-wilog-line__text">${linked}</span>
+        </div>
+    `;
+}
+
+/**
+ * Show the raw [WI] log viewer
+ * @param {number} [id] - Log id; defaults to the most recent generation
+ */
+export function showWILogViewer(id = null) {
+    const existing = document.querySelector('.ck-wilog-modal');
+    if (existing) existing.remove();
+
+    if (!generationLogs.length) {
+        toastr.info('No [WI] log captured yet - generate a message first', 'TrackHare');
+        return;
+    }
+
+    const generationOptions = getWILogHistory()
+        .map(log => {
+            const type = GENERATION_TYPES[log.generationType] || GENERATION_TYPES.normal;
+            return `<option value="${log.id}">${type.emoji} ${new Date(log.startedAt).toLocaleTimeString()} • ${type.text}${log.dryRun ? ' (dry run)' : ''} • ${log.lineCount} lines</option>`;
+        })
+        .join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'ck-wilog-modal';
+    modal.innerHTML = `
+        <div class="ck-wilog-modal__backdrop"></div>
+        <div class="ck-wilog-modal__content">
+            <div class="ck-rv-header">
+                <span class="ck-rv-header__title">📜 [WI] Log</span>
+                <select class="ck-wilog-generation" title="Generation">${generationOptions}</select>
+                <button class="ck-rv-header__close">✕</button>
+            </div>
+            <div class="ck-wilog-filters">
+                <select class="ck-wilog-filter" data-filter="entry"></select>
+                <select class="ck-wilog-filter" data-filter="loop"></select>
+                <select class="ck-wilog-filter" data-filter="severity"></select>
+                <input class="ck-wilog-filter text_pole" data-filter="search" type="search" placeholder="Search…">
+                <span class="ck-wilog-count"></span>
+            </div>
+            <div class="ck-rv-body ck-wilog-body"></div>
+        </div>
+    `;
+
+    const body = modal.querySelector('.ck-wilog-body');
+    const count = modal.querySelector('.ck-wilog-count');
+    const generationPicker = modal.querySelector('.ck-wilog-generation');
+    const filterInputs = Object.fromEntries([...modal.querySelectorAll('[data-filter]')].map(el => [el.dataset.filter, el]));
+
+    let log = getWILog(id) || getWILog();
+    generationPicker.value = String(log.id);
+
+    const renderLines = () => {
+        const filters = Object.fromEntries(Object.entries(filterInputs).map(([name, el]) => [name, el.value]));
+        const lines = filterLines(log, filters);
+        body.innerHTML = lines.length ? lines.map(renderLine).join('') : '<div class="ck-swipe-empty">No lines match the filters</div>';
+        count.textContent = `${lines.length}/${log.lines.length}${log.dropped ? ` (+${log.dropped} dropped)` : ''}`;
+    };
+
+    const loadLog = () => {
+        const options = buildFilterOptions(log);
+        filterInputs.entry.innerHTML = options.entries;
+        filterInputs.loop.innerHTML = options.loops;
+        filterInputs.severity.innerHTML = options.severities;
+        renderLines();
+    };
+
+    generationPicker.addEventListener('change', () => {
+        log = getWILog(Number(generationPicker.value));
+        loadLog();
+    });
+    Object.values(filterInputs).forEach(el => el.addEventListener(el.tagName === 'INPUT' ? 'input' : 'change', renderLines));
+
+    const close = () => {
+        modal.remove();
+        document.removeEventListener('keydown', escHandler);
+    };
+    function escHandler(e) {
+        if (e.key === 'Escape') close();
+    }
+
+    body.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-ck-entry-key]');
+        if (!link) return;
+        close();
+        openPanel();
+        focusPanelEntry(link.dataset.ckEntryKey);
+    });
+
+    modal.querySelector('.ck-rv-header__close').onclick = close;
+    modal.querySelector('.ck-wilog-modal__backdrop').onclick = close;
+    document.addEventListener('keydown', escHandler);
+
+    loadLog();
+    document.body.appendChild(modal);
+}
@@ -0,0 +1,219 @@
+// =============================================================================
+// LOG FIXTURES - Captured [WI] console.debug calls and what the parsers should make of them
+// Checked by log-parsers.test.js; add a fixture whenever ST changes a wording
+// =============================================================================
+
+/** Entry object ST passes along on most entry lines */
+const entry = (uid, world) => ({ uid, world, comment: `Entry ${uid}` });
+
+/**
+ * Fixture shape:
+ *   name      - what the line is
+ *   version   - ST version the rules are picked for (null: unknown version, every rule applies)
+ *   args      - the console.debug arguments
+ *   expect    - per kind, the data fields (plus ruleId/confidence) that must match
+ *   absent    - kinds that must NOT match
+ *   unmatched - true if no rule should match at all
+ */
+export const LOG_FIXTURES = [
+    // --- Scan structure ---
+    {
+        name: 'loop start',
+        version: null,
+        args: ['[WI] --- LOOP #2 START ---'],
+        expect: { loop: { loop: 2, confidence: 'high' } },
+    },
+    {
+        name: 'section marker',
+        version: null,
+        args: ['[WI] --- SEARCHING ENTRIES (on 42 entries) ---'],
+        expect: { info: { ruleId: 'info.section' } },
+        absent: ['loop'],
+    },
+    {
+        name: 'budget reached',
+        version: null,
+        args: ['[WI] budget of 2048 reached, stopping after 7 entries'],
+        expect: { budget: { budget: 2048, activatedCount: 7, confidence: 'high' } },
+    },
+
+    // --- Activations ---
+    {
+        name: 'primary key match with world and keyword',
+        version: null,
+        args: ['[WI] Entry 12', 'from \'Eldoria\'', 'activated by primary key match', 'dragon', entry(12, 'Eldoria')],
+        expect: { activation: { reason: 'primary_key_match', matchedKeyword: 'dragon', confidence: 'high' } },
+    },
+    {
+        name: 'primary key match without world',
+        version: null,
+        args: ['[WI] Entry 4', 'activated by primary key match', 'castle', entry(4, 'Eldoria')],
+        expect: { activation: { reason: 'primary_key_match', matchedKeyword: 'castle' } },
+    },
+    {
+        name: 'constant',
+        version: null,
+        args: ['[WI] Entry 1', 'from \'Eldoria\'', 'activated because of constant', entry(1, 'Eldoria')],
+        expect: { activation: { reason: 'constant', confidence: 'high' } },
+    },
+    {
+        name: 'sticky',
+        version: '1.12.6',
+        args: ['[WI] Entry 8', 'from \'Eldoria\'', 'activated because active sticky', entry(8, 'Eldoria')],
+        expect: { activation: { reason: 'sticky', confidence: 'high' } },
+    },
+    {
+        name: '@@activate decorator',
+        version: '1.12.6',
+        args: ['[WI] Entry 9', 'from \'Eldoria\'', 'activated by @@activate decorator', entry(9, 'Eldoria')],
+        expect: { activation: { reason: 'decorator' } },
+    },
+    {
+        name: 'secondary AND ANY',
+        version: null,
+        args: ['[WI] Entry 5', 'from \'Eldoria\'', 'activated. (AND ANY) Found match secondary keyword', 'night', entry(5, 'Eldoria')],
+        expect: { activation: { reason: 'secondary_and_any', confidence: 'high' } },
+    },
+    {
+        name: 'secondary NOT ALL',
+        version: null,
+        args: ['[WI] Entry 6', 'from \'Eldoria\'', 'activated. (NOT ALL) Found not matching secondary keyword', 'day', entry(6, 'Eldoria')],
+        expect: { activation: { reason: 'secondary_not_all' } },
+    },
+    {
+        name: 'inclusion group prio winner',
+        version: null,
+        args: ['[WI] Entry 20 activated as prio winner for inclusion group \'weather\'', entry(20, 'Eldoria')],
+        expect: {
+            activation: { reason: 'group_priority' },
+            group: { group: 'weather', result: 'won', method: 'priority' },
+        },
+    },
+    {
+        name: 'inclusion group roll winner',
+        version: null,
+        args: ['[WI] Entry 21 activated as roll winner for inclusion group \'weather\'', entry(21, 'Eldoria')],
+        expect: {
+            activation: { reason: 'group_random' },
+            group: { group: 'weather', result: 'won', method: 'roll' },
+        },
+    },
+
+    // --- Rejections ---
+    {
+        name: 'failed probability is not an activation',
+        version: null,
+        args: ['[WI] Entry 14 failed probability check, removing from activated entries', entry(14, 'Eldoria')],
+        expect: { rejection: { outcome: 'probability', confidence: 'high' } },
+    },
+    {
+        name: 'inclusion group loser',
+        version: null,
+        args: ['[WI] Entry 22 removed as loser from inclusion group \'weather\'', entry(22, 'Eldoria')],
+        expect: {
+            rejection: { outcome: 'group_loser' },
+            group: { group: 'weather', result: 'lost' },
+        },
+    },
+    {
+        name: 'cooldown',
+        version: '1.12.6',
+        args: ['[WI] Entry 3', 'from \'Eldoria\'', 'suppressed by cooldown', entry(3, 'Eldoria')],
+        expect: { rejection: { outcome: 'cooldown', confidence: 'high' } },
+    },
+    {
+        name: 'delay',
+        version: '1.12.6',
+        args: ['[WI] Entry 3', 'from \'Eldoria\'', 'suppressed by delay', entry(3, 'Eldoria')],
+        expect: { rejection: { outcome: 'delay', confidence: 'high' } },
+    },
+    {
+        name: 'disabled',
+        version: null,
+        args: ['[WI] Entry 2', 'from \'Eldoria\'', 'disabled', entry(2, 'Eldoria')],
+        expect: { rejection: { outcome: 'disabled' } },
+    },
+    {
+        name: '@@dont_activate decorator',
+        version: '1.12.6',
+        args: ['[WI] Entry 2', 'from \'Eldoria\'', 'suppressed by @@dont_activate decorator', entry(2, 'Eldoria')],
+        expect: { rejection: { outcome: 'suppressed', confidence: 'high' } },
+    },
+
+    // --- Wordings older versions don't have fall through to the loose rules ---
+    {
+        name: 'sticky before timed effects',
+        version: '1.12.4',
+        args: ['[WI] Entry 8', 'from \'Eldoria\'', 'activated because active sticky', entry(8, 'Eldoria')],
+        expect: { activation: { reason: 'sticky', ruleId: 'activation.sticky_loose', confidence: 'medium' } },
+    },
+    {
+        name: 'cooldown before timed effects',
+        version: '1.12.4',
+        args: ['[WI] Entry 3', 'from \'Eldoria\'', 'suppressed by cooldown', entry(3, 'Eldoria')],
+        expect: { rejection: { outcome: 'cooldown', ruleId: 'rejection.cooldown_loose', confidence: 'medium' } },
+    },
+    {
+        name: '@@dont_activate before decorators',
+        version: '1.12.5',
+        args: ['[WI] Entry 2', 'from \'Eldoria\'', 'suppressed by @@dont_activate decorator', entry(2, 'Eldoria')],
+        expect: { rejection: { outcome: 'suppressed', ruleId: 'rejection.dont_activate_loose', confidence: 'medium' } },
+    },
+
+    // --- Group-level notes ---
+    {
+        name: 'inclusion group already activated',
+        version: null,
+        args: ['[WI] Inclusion group \'weather\' already activated, skipping the rest'],
+        expect: { group: { group: 'weather', note: 'already_activated' } },
+    },
+
+    // --- Misfire guards ---
+    {
+        name: 'world name containing "constant" does not make a constant activation',
+        version: null,
+        args: ['[WI] Entry 3', 'from \'Constant Lore\'', 'activated by primary key match', 'sword', entry(3, 'Constant Lore')],
+        expect: { activation: { reason: 'primary_key_match', matchedKeyword: 'sword' } },
+    },
+    {
+        name: 'world name containing "cooldown" is not a rejection',
+        version: null,
+        args: ['[WI] Entry 3', 'from \'Cooldown Rules\'', 'activated by primary key match', 'timer', entry(3, 'Cooldown Rules')],
+        expect: { activation: { reason: 'primary_key_match' } },
+        absent: ['rejection'],
+    },
+    {
+        name: 'matched key that reads like a rejection is not a rejection',
+        version: null,
+        args: ['[WI] Entry 5', 'from \'Eldoria\'', 'activated by primary key match', 'cooldown', entry(5, 'Eldoria')],
+        expect: { activation: { reason: 'primary_key_match', matchedKeyword: 'cooldown' } },
+        absent: ['rejection'],
+    },
+    {
+        name: 'matched key "the loser" is neither a rejection nor a group loss',
+        version: null,
+        args: ['[WI] Entry 5', 'activated by primary key match', 'the loser', entry(5, 'Eldoria')],
+        expect: { activation: { reason: 'primary_key_match', matchedKeyword: 'the loser' } },
+        absent: ['rejection', 'group'],
+    },
+    {
+        name: 'matched keys "disabled" and "filtered out" are not rejections',
+        version: null,
+        args: ['[WI] Entry 5', 'activated by primary key match', 'disabled', 'filtered out', entry(5, 'Eldoria')],
+        expect: { activation: { reason: 'primary_key_match' } },
+        absent: ['rejection'],
+    },
+    {
+        name: 'processing line is neither activation nor rejection',
+        version: null,
+        args: ['[WI] Entry 3', 'from \'Activated Memories\'', 'processing', entry(3, 'Activated Memories')],
+        expect: { info: { ruleId: 'info.processing' } },
+        absent: ['activation', 'rejection'],
+    },
+    {
+        name: 'unknown wording is reported as unmatched',
+        version: null,
+        args: ['[WI] Hit max recursion steps'],
+        unmatched: true,
+    },
+];
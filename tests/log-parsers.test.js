@@ -0,0 +1,36 @@
+// =============================================================================
+// LOG PARSER TESTS - Every fixture through parseWILog, outside SillyTavern
+// Run from the extension folder with: node --test tests/
+// =============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWILog } from '../modules/log-parsers.js';
+import { LOG_FIXTURES } from './log-fixtures.js';
+
+/**
+ * The fields a fixture checks - ruleId and confidence sit on the match, the rest in its data
+ */
+function pickExpected(match, expected) {
+    return Object.fromEntries(Object.keys(expected).map(field => [
+        field,
+        field === 'ruleId' || field === 'confidence' ? match[field] : match.data[field],
+    ]));
+}
+
+for (const fixture of LOG_FIXTURES) {
+    test(`${fixture.name} (ST ${fixture.version ?? 'any'})`, () => {
+        const { matches } = parseWILog(fixture.args, { version: fixture.version, record: false });
+
+        for (const [kind, expected] of Object.entries(fixture.expect || {})) {
+            assert.ok(matches[kind], `expected ${kind}, got nothing`);
+            assert.deepEqual(pickExpected(matches[kind], expected), expected, kind);
+        }
+        for (const kind of fixture.absent || []) {
+            assert.equal(matches[kind]?.ruleId, undefined, `${kind} should not match`);
+        }
+        if (fixture.unmatched) {
+            assert.deepEqual(Object.values(matches).map(m => m.ruleId), []);
+        }
+    });
+}